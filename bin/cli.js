@@ -6,12 +6,24 @@ import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
 import { install } from "../src/installer.js";
 import { update } from "../src/updater.js";
+import { status } from "../src/status.js";
+import { check } from "../src/check.js";
+import { add, remove } from "../src/manage.js";
+import { rollback } from "../src/rollback.js";
+import { updateWorkspaces } from "../src/workspaces.js";
+import { fleet } from "../src/fleet.js";
+import { printReport } from "../src/output.js";
+import { withoutOption, resolveCwd } from "../src/flags.js";
+import { hasFailures } from "../src/summary.js";
+import { wasInterrupted, INTERRUPT_EXIT_CODE } from "../src/runner.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const { version } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
 
-const command = argv[2];
-const flags = argv.slice(3);
+// `--cwd <dir>` may come anywhere, even before the command.
+const args = withoutOption(argv.slice(2), "--cwd");
+const command = args[0];
+const flags = args.slice(1);
 
 const HELP = `
 tcsetup v${version} — Bootstrap and update the TC toolchain.
@@ -20,8 +32,19 @@ Usage:
   npx tcsetup              Run all setup steps (same as init)
   npx tcsetup init         Install the full TC toolchain
   npx tcsetup update       Update all installed TC tools to latest
+  npx tcsetup status       Show install state and version of every TC tool
+  npx tcsetup add <tool>   Install a single tool (adr, qa, playbook, ...)
+  npx tcsetup remove <tool>
+                           Delete a tool's directory, package and commands
+  npx tcsetup rollback [id]
+                           Restore the files changed by the last init/update
+  npx tcsetup fleet <dir|glob>...
+                           Update many repositories and print a repo × tool matrix
   npx tcsetup help         Show this help message
 
+Options (all commands):
+  --cwd <dir>              Run in <dir> instead of the current directory
+
 Options (init):
   --skip-bmad              Skip BMAD Method install
   --skip-speckit           Skip Spec Kit init
@@ -33,30 +56,122 @@ Options (init):
   --skip-product           Skip Product Manager init
   --skip-qa                Skip QA System init
   --skip-playbook          Skip Playbook Supervisor init
+  --only=<tools>           Install only these tools, e.g. --only=adr,agreements
+  --dry-run                Print the execution plan without running anything
+  --pin <tool>@<version>   Run a pinned tool version (repeatable, saved in .tcsetup.yaml)
+  --resume                 Continue an unfinished init from its first step that did not succeed
+  --restart                Discard the saved progress of an unfinished init
+  --ai <agent>             AI assistant for Spec Kit and command files (default: claude,
+                           saved in .tcsetup.yaml): claude, gemini, copilot, cursor, ...
+  --parallel[=N]           Run up to N independent steps at once (default 4)
+  --registry <url>         Registry to look up the versions of unpinned tools (default: npm config)
+
+Options (update):
+  --dry-run                Print the execution plan without running anything
+  --pin <tool>@<version>   Pin a tool to a version (repeatable, saved in .tcsetup.yaml)
+  --to-latest              Install latest versions and move existing pins forward
+  --check                  Report available upgrades without installing (exit 10 if any)
+  --registry <url>         Registry to compare against, and to look up the version
+                           BMAD Method runs at (default: npm config)
+  --exact                  Save exact versions instead of ^ranges in devDependencies
+  --migrate-deps           Move TC packages from dependencies to devDependencies
+                           without asking
+  --workspaces             Update the root and every npm/pnpm/yarn workspace that has
+                           TC tools, with one combined summary
+
+Options (fleet, plus the update options):
+  --parallel[=N]           Update up to N repositories at once (default 4)
+  --save <file>            Save the matrix as JSON (.json) or Markdown (.md)
+
+Options (init, update):
+  --keep-going             Run remaining steps after a failure (default)
+  --fail-fast              Stop at the first failed step
+  --force                  Run even if pre-flight checks fail
+  --no-backup              Do not save changed files to .tcsetup/backups
+  --json                   Print a JSON report of the run on stdout (progress goes to stderr)
+  --events                 Stream NDJSON events on stdout while running
+  --on-conflict <mode>     Edited command files: new (write .new, default),
+                           prompt (show diff and ask), merge (managed sections)
+  --timeout <s|tool=s>     Stop steps after s seconds (default 600, 0 for none;
+                           tool=s for one tool, repeatable)
+  --retries <n>            Retries for transient network errors (default 2)
+  --pm <name>              Package manager: npm, pnpm, yarn or bun (default: detected
+                           from packageManager in package.json, then the lockfile)
+
+Options (add):
+  --registry <url>         Registry to look up the version of an unpinned tool (default: npm config)
+
+Options (remove):
+  --yes                    Delete without asking for confirmation
+
+Options (rollback):
+  --list                   List the saved backups instead of restoring one
+  --yes                    Restore without asking for confirmation
+
+Options (status):
+  --json                   Print the status report as JSON
 `;
 
-switch (command) {
-  case "init":
-    install(flags);
-    break;
-  case "update":
-    update(flags);
-    break;
-  case "help":
-  case "--help":
-  case "-h":
-    console.log(HELP);
-    break;
-  case undefined:
-    install([]);
-    break;
-  default:
-    // Flags without subcommand (e.g., npx tcsetup --skip-bmad) → treat as init
-    if (command.startsWith("-")) {
-      install(argv.slice(2));
-    } else {
-      console.error(`  Unknown command: ${command}\n`);
+// Exit non-zero when any step failed (130 after Ctrl-C), after output has
+// been flushed.
+function finish(results) {
+  if (wasInterrupted()) process.exitCode = INTERRUPT_EXIT_CODE;
+  else if (hasFailures(results)) process.exitCode = 1;
+}
+
+async function run() {
+  const projectRoot = resolveCwd(argv.slice(2));
+
+  switch (command) {
+    case "init":
+      finish(await install(flags, projectRoot));
+      break;
+    case "update":
+      if (flags.includes("--check")) {
+        process.exitCode = await check(flags, projectRoot);
+      } else if (flags.includes("--workspaces")) {
+        finish(await updateWorkspaces(flags, projectRoot));
+      } else {
+        finish(await update(flags, projectRoot));
+      }
+      break;
+    case "fleet":
+      finish(await fleet(flags, projectRoot));
+      break;
+    case "add":
+      finish(await add(flags, projectRoot));
+      break;
+    case "remove":
+      finish(await remove(flags, projectRoot));
+      break;
+    case "rollback":
+      await rollback(flags, projectRoot);
+      break;
+    case "status":
+      status(flags, projectRoot);
+      break;
+    case "help":
+    case "--help":
+    case "-h":
       console.log(HELP);
-      exit(1);
-    }
+      break;
+    case undefined:
+      finish(await install([], projectRoot));
+      break;
+    default:
+      // Flags without subcommand (e.g., npx tcsetup --skip-bmad) → treat as init
+      if (command.startsWith("-")) {
+        finish(await install(args, projectRoot));
+      } else {
+        console.error(`  Unknown command: ${command}\n`);
+        console.log(HELP);
+        exit(1);
+      }
+  }
 }
+
+run().catch((err) => {
+  console.error(`\n  ✗ ${err.message}\n`);
+  printReport({ command, ok: false, error: err.message });
+  exit(1);
+});
@@ -0,0 +1,63 @@
+import { getOption } from "./flags.js";
+
+export const DEFAULT_AGENT = "claude";
+
+/**
+ * AI assistants supported by `specify init --ai`, with the directory each
+ * reads its prompt files from and the format it expects.
+ */
+export const AGENTS = {
+  claude: { name: "Claude Code", dir: ".claude/commands", format: "md" },
+  gemini: { name: "Gemini CLI", dir: ".gemini/commands", format: "toml" },
+  copilot: { name: "GitHub Copilot", dir: ".github/prompts", format: "md", ext: ".prompt.md" },
+  cursor: { name: "Cursor", dir: ".cursor/commands", format: "md" },
+  qwen: { name: "Qwen Code", dir: ".qwen/commands", format: "toml" },
+  opencode: { name: "opencode", dir: ".opencode/command", format: "md" },
+  codex: { name: "Codex CLI", dir: ".codex/prompts", format: "md" },
+  windsurf: { name: "Windsurf", dir: ".windsurf/workflows", format: "md" },
+  kilocode: { name: "Kilo Code", dir: ".kilocode/workflows", format: "md" },
+  auggie: { name: "Auggie CLI", dir: ".augment/rules", format: "md" },
+  roo: { name: "Roo Code", dir: ".roo/rules", format: "md" },
+  q: { name: "Amazon Q Developer CLI", dir: ".amazonq/prompts", format: "md" },
+};
+
+/**
+ * Resolves the AI assistant: `--ai <agent>` first, then the one recorded in
+ * the manifest, then Claude.
+ * @param {string[]} flags - CLI flags
+ * @param {object|null} manifest - Project manifest, if any
+ * @returns {string} Agent id
+ */
+export function resolveAgent(flags, manifest) {
+  const ai = getOption(flags, "--ai") ?? manifest?.ai ?? DEFAULT_AGENT;
+  if (!(ai in AGENTS)) {
+    throw new Error(`Unknown AI assistant "${ai}" in --ai. Known assistants: ${Object.keys(AGENTS).join(", ")}.`);
+  }
+  return ai;
+}
+
+/**
+ * Names a shipped command file the way the agent expects it, e.g.
+ * `tcsetup.onboard.md` becomes `tcsetup.onboard.toml` for Gemini.
+ */
+export function agentFileName(file, ai) {
+  const agent = AGENTS[ai];
+  const base = file.replace(/\.md$/, "");
+  if (agent.format === "toml") return `${base}.toml`;
+  return `${base}${agent.ext ?? ".md"}`;
+}
+
+function tomlString(text) {
+  return text.replace(/\\/g, "\\\\").replace(/"""/g, '""\\"');
+}
+
+/**
+ * Converts a Markdown command file to the agent's format. TOML commands get
+ * the first heading as description and the Markdown as prompt.
+ */
+export function toAgentFormat(content, ai) {
+  if (AGENTS[ai].format !== "toml") return content;
+  const heading = /^#\s+(.+)$/m.exec(content);
+  const description = heading ? heading[1].trim() : "";
+  return `description = "${description.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"\n\nprompt = """\n${tomlString(content)}"""\n`;
+}
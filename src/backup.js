@@ -0,0 +1,219 @@
+import { createHash } from "node:crypto";
+import {
+  constants,
+  copyFileSync,
+  existsSync,
+  lstatSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
+import { dirname, join, relative, sep } from "node:path";
+import { STATE_DIR, ensureStateDir } from "./state.js";
+import { AGENTS } from "./agents.js";
+
+export const BACKUP_DIR = join(STATE_DIR, "backups");
+
+/** Number of snapshots kept; older ones are pruned after each run. */
+export const KEEP_BACKUPS = 10;
+
+const IGNORED = new Set(["node_modules", ".git", STATE_DIR]);
+
+// ── Tree indexing ─────────────────────────────────────
+
+function hashFile(path) {
+  return createHash("sha1").update(readFileSync(path)).digest("hex");
+}
+
+/**
+ * Stats the files tcsetup and its tools can touch: the files at the project
+ * root (package.json, lockfiles, the manifest, ...) and everything in the
+ * `scope` directories, skipping node_modules, .git and .tcsetup.
+ * @param {string} projectRoot - Project root directory
+ * @param {Set<string>} scope - Top-level directories to include
+ * @returns {Map<string, { size: number, mtimeMs: number }>} Keyed by POSIX relative path
+ */
+function scanTree(projectRoot, scope) {
+  const files = new Map();
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      if (IGNORED.has(entry.name)) continue;
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (dir === projectRoot && !scope.has(entry.name)) continue;
+        walk(path);
+      } else if (entry.isFile()) {
+        const { size, mtimeMs } = lstatSync(path);
+        files.set(relative(projectRoot, path).split(sep).join("/"), { size, mtimeMs });
+      }
+    }
+  };
+  walk(projectRoot);
+  return files;
+}
+
+// ── Snapshot lifecycle ────────────────────────────────
+
+// Runs that were killed before finishBackup() leave a snapshot without its
+// record; its stored content is of no use to rollback.
+function removeIncomplete(projectRoot) {
+  const root = join(projectRoot, BACKUP_DIR);
+  if (!existsSync(root)) return;
+  for (const id of readdirSync(root)) {
+    if (!existsSync(join(root, id, "snapshot.json"))) {
+      rmSync(join(root, id), { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Starts a snapshot: indexes the files tcsetup can touch and stores their
+ * current content, so whatever a step changes can be restored afterwards.
+ * Besides the files at the project root, that is the directories of the
+ * tools' `markers` and the AI assistants' prompt directories; the rest of
+ * the project (sources, build output, ...) is not copied.
+ * @param {string} projectRoot - Project root directory
+ * @param {string} label - What is running (e.g. "init", "update")
+ * @param {string[]} [markers] - Marker paths of the tools that may run
+ * @returns {object} Snapshot handle for trackChanges() / finishBackup()
+ */
+export function startBackup(projectRoot, label, markers = []) {
+  removeIncomplete(projectRoot);
+
+  const id = new Date().toISOString().replace(/[:.]/g, "-");
+  const dir = join(projectRoot, BACKUP_DIR, id);
+  const objects = ensureStateDir(projectRoot, "backups", id, "objects");
+
+  const scope = new Set([...markers, ...Object.values(AGENTS).map((a) => a.dir)].map((path) => path.split("/")[0]));
+  const index = scanTree(projectRoot, scope);
+  for (const [path, entry] of index) {
+    entry.hash = hashFile(join(projectRoot, path));
+    const object = join(objects, entry.hash);
+    if (!existsSync(object)) copyFileSync(join(projectRoot, path), object, constants.COPYFILE_FICLONE);
+  }
+
+  return { id, dir, projectRoot, label, createdAt: new Date().toISOString(), scope, index, changes: [] };
+}
+
+/**
+ * Diffs the tree against the last index and records, for every file that
+ * changed for the first time in this run, its content before the run
+ * (null for files the run created).
+ * @param {object} backup - Snapshot handle from startBackup()
+ * @param {string} step - Step that just ran
+ * @returns {number} Number of files changed by the step
+ */
+export function trackChanges(backup, step) {
+  const current = scanTree(backup.projectRoot, backup.scope);
+  let changed = 0;
+
+  const record = (path, before) => {
+    changed++;
+    if (!backup.changes.some((c) => c.path === path)) {
+      backup.changes.push({ path, before, step });
+    }
+  };
+
+  for (const [path, entry] of current) {
+    const previous = backup.index.get(path);
+    if (previous && previous.size === entry.size && previous.mtimeMs === entry.mtimeMs) {
+      entry.hash = previous.hash;
+      continue;
+    }
+    entry.hash = hashFile(join(backup.projectRoot, path));
+    if (!previous) record(path, null);
+    else if (previous.hash !== entry.hash) record(path, previous.hash);
+  }
+  for (const [path, previous] of backup.index) {
+    if (!current.has(path)) record(path, previous.hash);
+  }
+
+  backup.index = current;
+  return changed;
+}
+
+/**
+ * Writes the snapshot record, drops content that no change refers to, and
+ * prunes old snapshots. Snapshots without changes are deleted.
+ * @returns {object|null} Snapshot summary, or null when nothing changed
+ */
+export function finishBackup(backup) {
+  trackChanges(backup, "tcsetup");
+
+  const keep = new Set(backup.changes.map((c) => c.before).filter(Boolean));
+  const objects = join(backup.dir, "objects");
+  for (const hash of readdirSync(objects)) {
+    if (!keep.has(hash)) rmSync(join(objects, hash));
+  }
+
+  let summary = null;
+  if (backup.changes.length === 0) {
+    rmSync(backup.dir, { recursive: true, force: true });
+  } else {
+    summary = { id: backup.id, label: backup.label, created_at: backup.createdAt, changes: backup.changes };
+    writeFileSync(join(backup.dir, "snapshot.json"), JSON.stringify(summary, null, 2) + "\n");
+  }
+
+  pruneBackups(backup.projectRoot);
+  return summary;
+}
+
+/**
+ * Tells the user where the snapshot of a finished run went.
+ * @param {object|null} snapshot - Result of finishBackup()
+ */
+export function reportBackup(snapshot) {
+  if (!snapshot) return;
+  const count = snapshot.changes.length;
+  console.log(`  [backup] ${count} changed file${count === 1 ? "" : "s"} saved to ${join(BACKUP_DIR, snapshot.id)}`);
+  console.log(`           Undo with: npx tcsetup rollback ${snapshot.id}\n`);
+}
+
+// ── Listing, pruning and restoring ────────────────────
+
+/**
+ * Lists snapshots, newest first.
+ * @returns {{ id: string, label: string, created_at: string, changes: object[] }[]}
+ */
+export function listBackups(projectRoot) {
+  const root = join(projectRoot, BACKUP_DIR);
+  if (!existsSync(root)) return [];
+  return readdirSync(root)
+    .filter((id) => existsSync(join(root, id, "snapshot.json")))
+    .sort()
+    .reverse()
+    .map((id) => JSON.parse(readFileSync(join(root, id, "snapshot.json"), "utf8")));
+}
+
+export function pruneBackups(projectRoot, keep = KEEP_BACKUPS) {
+  for (const snapshot of listBackups(projectRoot).slice(keep)) {
+    rmSync(join(projectRoot, BACKUP_DIR, snapshot.id), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Restores every file a snapshot recorded to its content before that run:
+ * changed and deleted files are written back, created files are removed.
+ * @returns {{ restored: string[], removed: string[] }}
+ */
+export function restoreBackup(projectRoot, id) {
+  const snapshot = listBackups(projectRoot).find((s) => s.id === id);
+  if (!snapshot) throw new Error(`No backup "${id}". Run \`npx tcsetup rollback --list\` to see available backups.`);
+
+  const restored = [];
+  const removed = [];
+  for (const change of snapshot.changes) {
+    const dest = join(projectRoot, change.path);
+    if (change.before === null) {
+      rmSync(dest, { force: true });
+      removed.push(change.path);
+    } else {
+      mkdirSync(dirname(dest), { recursive: true });
+      copyFileSync(join(projectRoot, BACKUP_DIR, id, "objects", change.before), dest);
+      restored.push(change.path);
+    }
+  }
+  return { restored, removed };
+}
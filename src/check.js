@@ -0,0 +1,95 @@
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { planUpdate } from "./updater.js";
+import { readManifest } from "./manifest.js";
+import { installedVersion } from "./detect.js";
+import { registryUrl, fetchLatestVersion } from "./registry.js";
+import { bumpType } from "./semver.js";
+import { formatTable } from "./table.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const { version } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
+
+/** Exit code of `update --check` when at least one tool is behind. */
+export const EXIT_UPDATES_AVAILABLE = 10;
+
+/**
+ * Compares the installed version of every detected npm tool with the latest
+ * version in the configured registry. Nothing is installed. Tools with no
+ * known version (not in node_modules and not in the manifest, like BMAD run
+ * through npx) get the bump "unknown": they cannot be compared.
+ * @param {string[]} flags - Raw CLI arguments (honours --registry)
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<object[]>} { name, pkg, current, latest, bump, pinned, error }
+ */
+export async function checkUpdates(flags = [], projectRoot = process.cwd()) {
+  const { detected, pins } = planUpdate(flags, projectRoot);
+  const manifest = readManifest(projectRoot);
+  const registry = registryUrl(flags);
+
+  return Promise.all(
+    detected.filter((tool) => tool.pkg).map(async (tool) => {
+      const current = installedVersion(tool.pkg, projectRoot) ?? manifest?.tools[tool.id]?.version ?? null;
+      const entry = { name: tool.name, pkg: tool.pkg, current, latest: null, bump: null, pinned: tool.id in pins, error: null };
+      try {
+        entry.latest = await fetchLatestVersion(tool.pkg, registry);
+        entry.bump = current ? bumpType(current, entry.latest) : "unknown";
+      } catch (err) {
+        entry.error = err.message;
+      }
+      return entry;
+    })
+  );
+}
+
+/**
+ * Prints the upgrade report.
+ * @returns {Promise<number>} Exit code: 0 up to date, 1 on registry errors,
+ *   EXIT_UPDATES_AVAILABLE when updates are available
+ */
+export async function check(flags = [], projectRoot = process.cwd()) {
+  console.log(`\n  tcsetup update --check v${version}\n`);
+
+  const report = await checkUpdates(flags, projectRoot);
+  if (report.length === 0) {
+    console.log("  No TC tools detected. Run `npx tcsetup` to onboard first.\n");
+    return 0;
+  }
+
+  const rows = [
+    ["Tool", "Current", "Latest", "Bump"],
+    ...report.map((r) => [
+      r.name,
+      `${r.current ?? "-"}${r.pinned ? " (pinned)" : ""}`,
+      r.latest ?? "-",
+      r.error ? "error" : r.bump ?? "up to date",
+    ]),
+  ];
+  for (const line of formatTable(rows)) {
+    console.log(`  ${line}`);
+  }
+  console.log();
+
+  const errors = report.filter((r) => r.error);
+  for (const r of errors) {
+    console.error(`  ⚠ ${r.error}`);
+  }
+  if (errors.length > 0) {
+    console.error();
+    return 1;
+  }
+
+  const unknown = report.filter((r) => r.bump === "unknown");
+  if (unknown.length > 0) {
+    console.log(`  No installed version to compare for ${unknown.map((r) => r.name).join(", ")}.\n`);
+  }
+
+  const behind = report.filter((r) => r.bump && r.bump !== "unknown").length;
+  if (behind === 0) {
+    console.log("  All tools are up to date.\n");
+    return 0;
+  }
+  console.log(`  ${behind} tool${behind === 1 ? "" : "s"} can be updated. Run \`npx tcsetup update\` to install.\n`);
+  return EXIT_UPDATES_AVAILABLE;
+}
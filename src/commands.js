@@ -0,0 +1,270 @@
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { basename, dirname, join } from "node:path";
+import { getOption } from "./flags.js";
+import { readManifest } from "./manifest.js";
+import { confirm } from "./prompt.js";
+import { AGENTS, DEFAULT_AGENT, agentFileName, toAgentFormat } from "./agents.js";
+import { emit, isMachineOutput } from "./output.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/** Command files shipped with tcsetup, installed into the agent's prompt directory. */
+export const COMMANDS_SOURCE = join(__dirname, "..", "commands");
+
+export const CONFLICT_STRATEGIES = ["new", "prompt", "merge"];
+
+/**
+ * Hashes of the command files earlier releases shipped, by file name.
+ * Projects onboarded before tcsetup recorded hashes in the manifest have
+ * none to compare with, and a file matching one of these is still
+ * untouched. Add a file's hash here before a release changes it.
+ */
+export const RELEASED_HASHES = {
+  "tcsetup.onboard.md": [
+    "sha256-52ab920a8cbfcd0ebd5b7e086f7e260e558ca473fc918be03951ec0150cf695c", // 1.8.0
+  ],
+};
+
+const SECTION = /<!-- tcsetup:begin ([\w.-]+) -->[\s\S]*?<!-- tcsetup:end \1 -->/g;
+
+export function hashContent(content) {
+  return "sha256-" + createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Reads `--on-conflict`, which decides what happens to command files the
+ * user edited: `new` (default) writes the new version next to them as
+ * `.new`, `prompt` shows a diff and asks, `merge` refreshes only the
+ * sections between tcsetup sentinels.
+ */
+export function conflictStrategy(flags) {
+  const strategy = getOption(flags, "--on-conflict") ?? "new";
+  if (!CONFLICT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid --on-conflict "${strategy}". Expected one of: ${CONFLICT_STRATEGIES.join(", ")}.`);
+  }
+  return strategy;
+}
+
+// ── Planning ──────────────────────────────────────────
+
+/**
+ * Lists the command files in a package's `commands/` directory.
+ * @param {string} [source] - Directory to list (default: tcsetup's own)
+ * @returns {string[]} File names, sorted
+ */
+export function shippedCommands(source = COMMANDS_SOURCE) {
+  if (!existsSync(source)) return [];
+  return readdirSync(source, { withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * Plans the command-file changes shared by init and update: a copy for
+ * every shipped file into the agent's prompt directory, and a delete for
+ * every file tcsetup installed earlier (per the manifest) that it no longer
+ * ships there.
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [ai] - Agent id (see agents.js)
+ * @param {string} [source] - Directory of shipped command files
+ * @returns {object[]} Actions with phase "commands"
+ */
+export function planCommands(projectRoot, ai = DEFAULT_AGENT, source = COMMANDS_SOURCE) {
+  const plan = shippedCommands(source).map((file) => {
+    const label = `${AGENTS[ai].dir}/${agentFileName(file, ai)}`;
+    return { kind: "copy", phase: "commands", src: join(source, file), dest: join(projectRoot, label), label, ai };
+  });
+  for (const label of Object.keys(readManifest(projectRoot)?.commands ?? {})) {
+    if (!plan.some((a) => a.label === label)) {
+      plan.push({ kind: "delete", phase: "commands", dest: join(projectRoot, label), label });
+    }
+  }
+  return plan;
+}
+
+// ── Managed sections ──────────────────────────────────
+
+function sections(content) {
+  return new Map([...content.matchAll(SECTION)].map((m) => [m[1], m[0]]));
+}
+
+/**
+ * Replaces every managed section of an edited file with the shipped one,
+ * keeping everything outside the sentinels:
+ *
+ *   <!-- tcsetup:begin name --> ... <!-- tcsetup:end name -->
+ *
+ * @returns {string|null} Merged content, or null when the sections cannot be
+ *   matched up (the file has none, or lost one the shipped file has) or when
+ *   every local change is inside them, so merging would discard it
+ */
+export function mergeManaged(current, shipped) {
+  const ours = sections(shipped);
+  const theirs = sections(current);
+  if (ours.size === 0 || theirs.size === 0) return null;
+  for (const name of ours.keys()) {
+    if (!theirs.has(name)) return null;
+  }
+  const merged = current.replace(SECTION, (_, name) => ours.get(name) ?? "");
+  return merged === shipped ? null : merged;
+}
+
+// ── Diff ──────────────────────────────────────────────
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ * @returns {{ op: " " | "-" | "+", line: string }[]}
+ */
+export function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      diff.push({ op: " ", line: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      diff.push({ op: "-", line: a[i++] });
+    } else {
+      diff.push({ op: "+", line: b[j++] });
+    }
+  }
+  return diff;
+}
+
+function printDiff(before, after, context = 2) {
+  const diff = diffLines(before, after);
+  const shown = diff.map((d, k) => diff.slice(Math.max(0, k - context), k + context + 1).some((n) => n.op !== " "));
+  let gap = false;
+  diff.forEach((d, k) => {
+    if (!shown[k]) {
+      gap = true;
+      return;
+    }
+    if (gap) console.log("      ...");
+    gap = false;
+    console.log(`      ${d.op} ${d.line}`);
+  });
+}
+
+// ── Install ───────────────────────────────────────────
+
+async function resolveConflict(copy, current, shipped, strategy) {
+  if (strategy === "merge") {
+    const merged = mergeManaged(current, shipped);
+    if (merged !== null) {
+      writeFileSync(copy.dest, merged);
+      return { outcome: "merged", message: `Merged managed sections into ${copy.label} (local changes outside them kept)` };
+    }
+  }
+
+  // The question would land on stdout, which carries only JSON with --json
+  // and --events.
+  if (strategy === "prompt" && process.stdin.isTTY && !isMachineOutput()) {
+    console.log(`  ${copy.label} has local changes. Changes in the new version:\n`);
+    printDiff(current, shipped);
+    console.log();
+    if (await confirm(`  Replace ${copy.label} with the new version?`)) {
+      writeFileSync(copy.dest, shipped);
+      return { outcome: "replaced", message: `Replaced ${copy.label}` };
+    }
+  }
+
+  writeFileSync(`${copy.dest}.new`, shipped);
+  return {
+    outcome: "kept",
+    message: `Kept ${copy.label} (local changes) — new version written to ${basename(copy.dest)}.new`,
+  };
+}
+
+// Whether tcsetup wrote `current` as it is: it matches the recorded hash or,
+// without one, a released version of the file.
+function isUntouched(copy, current, recorded) {
+  const hash = hashContent(current);
+  if (recorded) return recorded === hash;
+  return RELEASED_HASHES[basename(copy.src)]?.includes(hash) ?? false;
+}
+
+function removeStale(action, hashes) {
+  const recorded = hashes[action.label];
+  delete hashes[action.label];
+
+  if (!existsSync(action.dest)) return null;
+  if (recorded !== hashContent(readFileSync(action.dest, "utf8"))) {
+    return { outcome: "kept", message: `Kept ${action.label} (no longer installed by tcsetup, has local changes)` };
+  }
+  rmSync(action.dest);
+  return { outcome: "removed", message: `Removed ${action.label} (no longer installed by tcsetup)` };
+}
+
+function report(action, { outcome, message }, indent) {
+  console.log(`${indent}[cmd] ${message}`);
+  emit("command:copied", { path: action.label, outcome });
+}
+
+/**
+ * Applies the actions from planCommands() without losing local edits.
+ * Files that match the hash recorded when tcsetup last wrote them (or,
+ * without one, a released version) are replaced or, when no longer shipped,
+ * removed; edited files are handled
+ * according to `--on-conflict` and never removed.
+ * @param {string} projectRoot - Project root directory
+ * @param {object[]} actions - Copy and delete actions from planCommands()
+ * @param {string[]} flags - CLI flags
+ * @param {string} [indent] - Prefix for progress lines
+ * @returns {Promise<Record<string, string>>} Hashes to record in the manifest, by file path
+ */
+export async function installCommands(projectRoot, actions, flags, indent = "  ") {
+  const strategy = conflictStrategy(flags);
+  const hashes = { ...readManifest(projectRoot)?.commands };
+
+  for (const copy of actions) {
+    if (copy.kind === "delete") {
+      const removed = removeStale(copy, hashes);
+      if (removed) report(copy, removed, indent);
+      continue;
+    }
+
+    const key = copy.label;
+    const shipped = toAgentFormat(readFileSync(copy.src, "utf8"), copy.ai ?? DEFAULT_AGENT);
+    let result;
+
+    if (!existsSync(copy.dest)) {
+      mkdirSync(dirname(copy.dest), { recursive: true });
+      writeFileSync(copy.dest, shipped);
+      hashes[key] = hashContent(shipped);
+      result = { outcome: "installed", message: `Installed ${copy.label}` };
+    } else {
+      const current = readFileSync(copy.dest, "utf8");
+      if (current === shipped) {
+        hashes[key] = hashContent(shipped);
+        result = { outcome: "unchanged", message: `${copy.label} is up to date` };
+      } else if (isUntouched(copy, current, hashes[key])) {
+        writeFileSync(copy.dest, shipped);
+        hashes[key] = hashContent(shipped);
+        result = { outcome: "updated", message: `Updated ${copy.label}` };
+      } else if (hashes[key] === hashContent(shipped)) {
+        result = { outcome: "kept", message: `Kept ${copy.label} (local changes, no new version)` };
+      } else {
+        // The recorded hash stays as is, so the file keeps counting as
+        // edited until it matches a shipped version again.
+        result = await resolveConflict(copy, current, shipped, strategy);
+      }
+    }
+    report(copy, result, indent);
+  }
+
+  return hashes;
+}
@@ -0,0 +1,80 @@
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { isMachineOutput } from "./output.js";
+import { confirm } from "./prompt.js";
+
+function readPackageJson(projectRoot) {
+  const path = join(projectRoot, "package.json");
+  if (!existsSync(path)) return null;
+  try {
+    const text = readFileSync(path, "utf8");
+    return { path, text, data: JSON.parse(text) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists the TC packages a project has in its runtime `dependencies`, where
+ * tcsetup versions before devDependencies support installed them.
+ * @param {string} projectRoot - Project root directory
+ * @param {string[]} pkgs - TC package names
+ * @returns {string[]} Package names found in `dependencies`
+ */
+export function misplacedPackages(projectRoot, pkgs) {
+  const dependencies = readPackageJson(projectRoot)?.data.dependencies ?? {};
+  return pkgs.filter((pkg) => pkg in dependencies);
+}
+
+/**
+ * Moves packages from `dependencies` to `devDependencies` in package.json,
+ * keeping their version ranges and the file's indentation.
+ * @param {string} projectRoot - Project root directory
+ * @param {string[]} pkgs - Package names to move
+ */
+export function moveToDevDependencies(projectRoot, pkgs) {
+  const { path, text, data } = readPackageJson(projectRoot);
+  const indent = /^[ \t]+/m.exec(text)?.[0] ?? "  ";
+
+  const devDependencies = { ...data.devDependencies };
+  for (const pkg of pkgs) {
+    devDependencies[pkg] = data.dependencies[pkg];
+    delete data.dependencies[pkg];
+  }
+  // Package managers keep dependency lists sorted.
+  data.devDependencies = Object.fromEntries(Object.entries(devDependencies).sort(([a], [b]) => a.localeCompare(b)));
+  if (Object.keys(data.dependencies).length === 0) delete data.dependencies;
+
+  writeFileSync(path, JSON.stringify(data, null, indent) + (text.endsWith("\n") ? "\n" : ""));
+}
+
+/**
+ * Offers to move TC packages out of `dependencies`: done without asking
+ * with `--migrate-deps`, after a confirmation in a terminal, and otherwise
+ * only reported.
+ * @param {string} projectRoot - Project root directory
+ * @param {string[]} flags - CLI flags
+ * @param {string[]} pkgs - TC package names
+ * @param {{ interactive?: boolean }} [options] - `interactive: false` never asks
+ * @returns {Promise<string[]>} Packages that were moved
+ */
+export async function migrateDependencies(projectRoot, flags, pkgs, { interactive = true } = {}) {
+  const misplaced = misplacedPackages(projectRoot, pkgs);
+  if (misplaced.length === 0) return [];
+
+  const list = misplaced.join(", ");
+  let move = flags.includes("--migrate-deps");
+  if (!move && interactive && process.stdin.isTTY && !isMachineOutput()) {
+    console.log(`  TC tools are development tools, but package.json lists them in "dependencies": ${list}.`);
+    move = await confirm("  Move them to devDependencies?");
+    console.log();
+  }
+  if (!move) {
+    console.log(`  ⚠ package.json lists TC tools in "dependencies" (${list}). Run with --migrate-deps to move them to devDependencies.\n`);
+    return [];
+  }
+
+  moveToDevDependencies(projectRoot, misplaced);
+  console.log(`  [deps] Moved ${list} to devDependencies\n`);
+  return misplaced;
+}
@@ -0,0 +1,45 @@
+/**
+ * Orders items so each one comes after the items it `requires` (by id),
+ * keeping the declared order wherever the requirements allow it.
+ * @param {{ id: string, name: string, requires?: string[] }[]} items - Items to sort
+ * @returns {object[]} Sorted copy
+ */
+export function sortByRequires(items) {
+  const ids = new Set(items.map((item) => item.id));
+  for (const item of items) {
+    for (const req of item.requires ?? []) {
+      if (!ids.has(req)) throw new Error(`${item.name} requires unknown step "${req}".`);
+    }
+  }
+
+  const sorted = [];
+  const done = new Set();
+  while (sorted.length < items.length) {
+    const next = items.find((item) => !done.has(item.id) && (item.requires ?? []).every((r) => done.has(r)));
+    if (!next) {
+      const left = items.filter((item) => !done.has(item.id)).map((item) => item.id);
+      throw new Error(`Circular step requirements between: ${left.join(", ")}.`);
+    }
+    sorted.push(next);
+    done.add(next.id);
+  }
+  return sorted;
+}
+
+/**
+ * Finds the first requirement of `item` that cannot be met: one that failed,
+ * or one that was skipped and is not already present in the project.
+ * @param {{ requires?: string[] }} item - Item about to run
+ * @param {{ id: string, name: string, status: string }[]} outcomes - Outcomes so far
+ * @param {(id: string) => boolean} [isPresent] - Whether a requirement is already installed
+ * @returns {string|null} Skip reason, or null when every requirement is met
+ */
+export function unmetRequirement(item, outcomes, isPresent = () => false) {
+  for (const req of item.requires ?? []) {
+    const outcome = outcomes.find((o) => o.id === req);
+    if (!outcome) continue;
+    if (outcome.status === "failed") return `requires ${outcome.name}, which failed`;
+    if (outcome.status === "skipped" && !isPresent(req)) return `requires ${outcome.name}, which was skipped`;
+  }
+  return null;
+}
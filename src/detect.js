@@ -0,0 +1,34 @@
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+
+/**
+ * Returns the first marker path that exists in the project, or null.
+ * @param {string|string[]} marker - Marker path(s), relative to the project root
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Matched marker path
+ */
+export function findMarker(marker, projectRoot) {
+  const markers = Array.isArray(marker) ? marker : [marker];
+  return markers.find((m) => existsSync(join(projectRoot, m))) ?? null;
+}
+
+export function isInstalled(marker, projectRoot) {
+  return findMarker(marker, projectRoot) !== null;
+}
+
+/**
+ * Reads the version of a package installed in the project's node_modules.
+ * @param {string|null} pkg - Package name
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Installed version, or null when not installed
+ */
+export function installedVersion(pkg, projectRoot) {
+  if (!pkg) return null;
+  const manifest = join(projectRoot, "node_modules", pkg, "package.json");
+  if (!existsSync(manifest)) return null;
+  try {
+    return JSON.parse(readFileSync(manifest, "utf8")).version ?? null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,57 @@
+import { existsSync, statSync } from "node:fs";
+import { resolve } from "node:path";
+
+/**
+ * Returns every value given for a CLI option, accepting both
+ * `--name value` and `--name=value`.
+ * @param {string[]} flags - Raw CLI arguments
+ * @param {string} name - Option name, e.g. "--pin"
+ * @returns {string[]} Values in the order given
+ */
+export function getOptions(flags, name) {
+  const values = [];
+  for (let i = 0; i < flags.length; i++) {
+    if (flags[i] === name && i + 1 < flags.length && !flags[i + 1].startsWith("--")) {
+      values.push(flags[++i]);
+    } else if (flags[i].startsWith(`${name}=`)) {
+      values.push(flags[i].slice(name.length + 1));
+    }
+  }
+  return values;
+}
+
+/**
+ * Returns the last value given for a CLI option, or undefined.
+ */
+export function getOption(flags, name) {
+  return getOptions(flags, name).at(-1);
+}
+
+/**
+ * Removes every occurrence of a CLI option, with its value, from the flags.
+ */
+export function withoutOption(flags, name) {
+  const rest = [];
+  for (let i = 0; i < flags.length; i++) {
+    if (flags[i] === name && i + 1 < flags.length && !flags[i + 1].startsWith("--")) i++;
+    else if (flags[i] !== name && !flags[i].startsWith(`${name}=`)) rest.push(flags[i]);
+  }
+  return rest;
+}
+
+/**
+ * Resolves the project directory: `--cwd <dir>` when given, otherwise the
+ * current directory.
+ * @param {string[]} flags - CLI flags
+ * @returns {string} Absolute path
+ */
+export function resolveCwd(flags) {
+  const dir = getOption(flags, "--cwd");
+  if (dir === undefined) {
+    if (flags.includes("--cwd")) throw new Error("--cwd needs a directory.");
+    return process.cwd();
+  }
+  const root = resolve(dir);
+  if (!existsSync(root) || !statSync(root).isDirectory()) throw new Error(`--cwd: ${dir} is not a directory.`);
+  return root;
+}
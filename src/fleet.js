@@ -0,0 +1,230 @@
+import { existsSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { format } from "node:util";
+import { fileURLToPath } from "node:url";
+import { dirname, extname, isAbsolute, join, parse, relative, resolve } from "node:path";
+import { runUpdate, TOOLS } from "./updater.js";
+import { expandGlob } from "./workspaces.js";
+import { installedVersion } from "./detect.js";
+import { readManifest } from "./manifest.js";
+import { conflictStrategy } from "./commands.js";
+import { getOption, withoutOption } from "./flags.js";
+import { parallelLimit, runPool } from "./parallel.js";
+import { wasInterrupted } from "./runner.js";
+import { ICONS, hasFailures } from "./summary.js";
+import { formatTable } from "./table.js";
+import { useMachineOutput, childOutput, printReport } from "./output.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const { version } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
+
+/** File formats of `--save`, by extension. */
+const SAVE_FORMATS = {
+  ".json": (report) => JSON.stringify(report, null, 2) + "\n",
+  ".md": (report) => markdownReport(report),
+};
+
+/**
+ * Resolves the repositories given to `fleet`: directories, or globs whose
+ * matches count only when they have a package.json.
+ * @param {string[]} patterns - Directories and globs, e.g. ["repos/*", "../site"]
+ * @param {string} root - Directory they are relative to
+ * @returns {{ repo: string, path: string }[]} Repositories, labelled by their path relative to the root
+ */
+export function fleetRepos(patterns, root) {
+  const paths = [];
+  for (const pattern of patterns) {
+    if (!pattern.includes("*")) {
+      const path = resolve(root, pattern);
+      if (!existsSync(path) || !statSync(path).isDirectory()) throw new Error(`fleet: ${pattern} is not a directory.`);
+      paths.push(path);
+      continue;
+    }
+    const base = isAbsolute(pattern) ? parse(pattern).root : root;
+    const matches = expandGlob(base, relative(base, resolve(base, pattern)))
+      .sort()
+      .map((dir) => resolve(base, dir))
+      .filter((path) => existsSync(join(path, "package.json")));
+    if (matches.length === 0) throw new Error(`fleet: no repositories match ${pattern}.`);
+    paths.push(...matches);
+  }
+  return [...new Set(paths)].map((path) => ({ repo: relative(root, path) || ".", path }));
+}
+
+/**
+ * Reads `--save <file>`: where to save the matrix, as JSON or Markdown
+ * depending on the extension.
+ * @returns {string|null} Absolute path, or null without the option
+ */
+export function saveTarget(flags, root) {
+  const file = getOption(flags, "--save");
+  if (file === undefined) {
+    if (flags.includes("--save")) throw new Error("--save needs a file, e.g. --save fleet.md");
+    return null;
+  }
+  if (!(extname(file).toLowerCase() in SAVE_FORMATS)) {
+    throw new Error(`Cannot save the fleet report as ${file}. Use a .json or .md file.`);
+  }
+  return resolve(root, file);
+}
+
+// Outcome of one repository's update, in the same statuses as steps.
+function repoOutcome(detected, results, flags) {
+  const failed = results.filter((r) => r.status === "failed").length;
+  if (results.some((r) => r.status === "interrupted")) return { status: "interrupted", detail: "stopped by Ctrl-C" };
+  if (failed > 0) return { status: "failed", detail: `${failed} step${failed === 1 ? "" : "s"} failed` };
+  if (detected.length === 0) return { status: "skipped", detail: "no TC tools" };
+  if (flags.includes("--dry-run")) return { status: "skipped", detail: "dry run" };
+  return { status: "succeeded", detail: "updated" };
+}
+
+// Version and step result of every tool found in a repository.
+function repoTools(path, detected, results) {
+  const manifest = readManifest(path);
+  return Object.fromEntries(
+    detected.map((tool) => [
+      tool.id,
+      {
+        version: installedVersion(tool.pkg, path) ?? manifest?.tools[tool.id]?.version ?? null,
+        status: results.find((r) => r.id === tool.id)?.status ?? null,
+      },
+    ])
+  );
+}
+
+/**
+ * Lays out a fleet report as a matrix of repositories against tools. A cell
+ * holds the tool's result icon and version, and stays empty when the
+ * repository does not have the tool.
+ * @param {object} report - Report from fleet()
+ * @returns {string[][]} Rows of cells, header first
+ */
+export function fleetMatrix(report) {
+  return [
+    ["Repository", ...report.tools.map((t) => t.name), "Result"],
+    ...report.repos.map((entry) => [
+      entry.repo,
+      ...report.tools.map(({ id }) => {
+        const tool = entry.tools[id];
+        if (!tool) return "";
+        return [ICONS[tool.status], tool.version].filter(Boolean).join(" ") || "installed";
+      }),
+      `${ICONS[entry.status]} ${entry.detail}`,
+    ]),
+  ];
+}
+
+/**
+ * Renders a fleet report as a Markdown document with the matrix as a table.
+ */
+export function markdownReport(report) {
+  const cell = (text) => text.replace(/\|/g, "\\|");
+  const [header, ...rows] = fleetMatrix(report);
+  const failed = report.repos.filter((r) => r.status === "failed" || r.status === "interrupted").length;
+  return [
+    "# tcsetup fleet",
+    "",
+    `${report.generatedAt}: ${report.repos.length} repositor${report.repos.length === 1 ? "y" : "ies"}, ${failed} failed.`,
+    "",
+    `| ${header.join(" | ")} |`,
+    `|${header.map(() => " --- |").join("")}`,
+    ...rows.map((row) => `| ${row.map(cell).join(" | ")} |`),
+    "",
+  ].join("\n");
+}
+
+// Tags console output with the repository being updated, for repositories
+// updated side by side. Returns a function that undoes it.
+function tagConsole(current) {
+  const { log, error } = console;
+  const tagged = (stream, write) => (...args) => {
+    const repo = current.getStore();
+    if (!repo) return write(...args);
+    for (const line of format(...args).split("\n")) {
+      if (line.trim()) stream().write(`  [${repo}] ${line.replace(/^ {2}/, "")}\n`);
+    }
+  };
+  console.log = tagged(childOutput, log);
+  console.error = tagged(() => process.stderr, error);
+  return () => {
+    console.log = log;
+    console.error = error;
+  };
+}
+
+/**
+ * `fleet`: runs `update` in every repository given, up to `--parallel`
+ * of them at once, then prints a matrix of repositories against tools and
+ * saves it with `--save`.
+ * @param {string[]} flags - Repositories and globs first, then update flags
+ * @param {string} root - Directory the repositories are relative to
+ * @returns {Promise<object[]>} One entry per repository, with a step status
+ */
+export async function fleet(flags = [], root = process.cwd()) {
+  useMachineOutput(flags);
+  const first = flags.findIndex((f) => f.startsWith("-"));
+  const patterns = first === -1 ? flags : flags.slice(0, first);
+  const options = flags.slice(patterns.length);
+  if (patterns.length === 0) throw new Error("fleet needs directories or a glob, e.g. `npx tcsetup fleet 'repos/*'`.");
+
+  const limit = parallelLimit(options);
+  const save = saveTarget(options, root);
+  if (limit > 1 && conflictStrategy(options) === "prompt") {
+    throw new Error("--on-conflict prompt cannot be used with --parallel: repositories updated side by side get no terminal input.");
+  }
+  const repos = fleetRepos(patterns, root);
+  const updateFlags = withoutOption(withoutOption(options, "--parallel"), "--save");
+
+  console.log(`\n  tcsetup fleet v${version}\n`);
+  console.log(`  Updating ${repos.length} repositor${repos.length === 1 ? "y" : "ies"}${limit > 1 ? `, ${limit} at a time` : ""}...\n`);
+
+  const current = new AsyncLocalStorage();
+  const untag = limit > 1 ? tagConsole(current) : () => {};
+  const entries = repos.map(({ repo, path }) => ({ repo, path, status: "skipped", detail: "interrupted", tools: {} }));
+  const tasks = entries.map((entry) => ({
+    run: () =>
+      current.run(entry.repo, async () => {
+        if (wasInterrupted()) return;
+        if (limit === 1) console.log(`  ── ${entry.repo} ${"─".repeat(Math.max(0, 46 - entry.repo.length))}`);
+        try {
+          const { detected, results } = await runUpdate(updateFlags, entry.path, { prefix: limit > 1 ? entry.repo : null });
+          Object.assign(entry, repoOutcome(detected, results, updateFlags), { tools: repoTools(entry.path, detected, results) });
+        } catch (err) {
+          console.error(`  ✗ ${err.message}\n`);
+          Object.assign(entry, { status: "failed", detail: err.message });
+        }
+      }),
+  }));
+  try {
+    await runPool(tasks, limit);
+  } finally {
+    untag();
+  }
+
+  const report = {
+    command: "fleet",
+    ok: !hasFailures(entries),
+    generatedAt: new Date().toISOString(),
+    tools: TOOLS.filter((t) => entries.some((e) => t.id in e.tools)).map((t) => ({ id: t.id, name: t.name })),
+    repos: entries,
+  };
+
+  console.log("\n  Fleet:\n");
+  for (const line of formatTable(fleetMatrix(report))) {
+    console.log(`    ${line}`);
+  }
+  console.log();
+
+  const failed = entries.filter((e) => e.status === "failed").length;
+  if (failed > 0) console.log(`  ✗ ${failed} of ${entries.length} repositories failed.\n`);
+  if (wasInterrupted()) console.log("  ✗ Interrupted. The remaining repositories were not updated.\n");
+  const updated = entries.filter((e) => e.status === "succeeded").length;
+  if (!hasFailures(entries) && updated > 0) console.log(`  Done! Updated ${updated} repositor${updated === 1 ? "y" : "ies"}.\n`);
+
+  if (save) {
+    writeFileSync(save, SAVE_FORMATS[extname(save).toLowerCase()](report));
+    console.log(`  [fleet] Matrix saved to ${relative(root, save) || save}\n`);
+  }
+  printReport(report);
+  return entries;
+}
@@ -1,106 +1,368 @@
-import { execSync } from "node:child_process";
-import { readFileSync, mkdirSync, copyFileSync, existsSync } from "node:fs";
+import { readFileSync } from "node:fs";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
+import { printPlan } from "./plan.js";
+import { runStep, skipStep, resumedStep, formatCommand, wasInterrupted } from "./runner.js";
+import { printSummary, hasFailures, failureReason } from "./summary.js";
+import { readManifest, recordTools, MANIFEST_FILE } from "./manifest.js";
+import { resolvePins, packageSpec } from "./pins.js";
+import { getOptions } from "./flags.js";
+import { pickItems } from "./picker.js";
+import { sortByRequires, unmetRequirement } from "./deps.js";
+import { isInstalled } from "./detect.js";
+import { preflight } from "./preflight.js";
+import { startBackup, trackChanges, finishBackup, reportBackup } from "./backup.js";
+import { planCommands, installCommands, conflictStrategy } from "./commands.js";
+import { resolveAgent, DEFAULT_AGENT } from "./agents.js";
+import { detectPackageManager, execCommand, DEFAULT_PM } from "./pm.js";
+import { resolveVersions } from "./registry.js";
+import { startRunLog, stepLog, finishRunLog, LOG_DIR } from "./logs.js";
+import { parseRetryOptions, stepPolicy } from "./retry.js";
+import { parallelLimit, runPool } from "./parallel.js";
+import { readRunState, startRunState, recordStep, clearRunState, completedSteps } from "./runstate.js";
+import { useMachineOutput, isMachineOutput, emit, printReport, runReport } from "./output.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const { version } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
 
-const steps = [
+// Steps run in this order, after the steps they `requires`. `exclusive`
+// steps are interactive or write files other tools share, so they never run
+// alongside another step under --parallel. `interactive` steps ask questions
+// and get the terminal itself.
+export const steps = [
   {
+    id: "bmad",
     name: "BMAD Method",
     flag: "--skip-bmad",
-    cmd: "npx bmad-method install",
+    marker: ["_bmad", ".bmad"],
+    pkg: "bmad-method",
+    args: ["install"],
+    timeout: 1800,
+    exclusive: true,
+    interactive: true,
   },
   {
+    id: "speckit",
     name: "Spec Kit",
     flag: "--skip-speckit",
-    cmd: "specify init --here --ai claude",
+    marker: ".specify",
+    pkg: null,
+    cmd: ["specify", "init", "--here"],
+    passesAi: true,
+    exclusive: true,
+    interactive: true,
   },
   {
+    id: "agreements",
     name: "Agreement System",
     flag: "--skip-agreements",
-    cmd: "npx agreement-system init --yes",
+    marker: ".agreements",
+    pkg: "agreement-system",
+    args: ["init", "--yes"],
   },
   {
+    id: "adr",
     name: "ADR System",
     flag: "--skip-adr",
-    cmd: "npx adr-system init --yes",
+    marker: ".adr",
+    pkg: "adr-system",
+    args: ["init", "--yes"],
   },
   {
+    id: "mermaid",
     name: "Mermaid Workbench",
     flag: "--skip-mermaid",
-    cmd: "npx mermaid-workbench init",
+    marker: ["_bmad/modules/mermaid-workbench", ".bmad/modules/mermaid-workbench"],
+    pkg: "mermaid-workbench",
+    args: ["init"],
+    requires: ["bmad"],
   },
   {
+    id: "lifecycle",
     name: "Feature Lifecycle Tracker",
     flag: "--skip-lifecycle",
-    cmd: "npx feature-lifecycle init --yes",
+    marker: ".features",
+    pkg: "feature-lifecycle",
+    args: ["init", "--yes"],
   },
   {
+    id: "knowledge",
     name: "Knowledge System",
     flag: "--skip-knowledge",
-    cmd: "npx @tcanaud/knowledge-system init --yes",
+    marker: ".knowledge",
+    pkg: "@tcanaud/knowledge-system",
+    args: ["init", "--yes"],
   },
   {
+    id: "product",
     name: "Product Manager",
     flag: "--skip-product",
-    cmd: "npx @tcanaud/product-manager init --yes",
+    marker: ".product",
+    pkg: "@tcanaud/product-manager",
+    args: ["init", "--yes"],
   },
   {
+    id: "qa",
     name: "QA System",
     flag: "--skip-qa",
-    cmd: "npx @tcanaud/qa-system init --yes",
+    marker: ".qa",
+    pkg: "@tcanaud/qa-system",
+    args: ["init", "--yes"],
   },
   {
+    id: "playbook",
     name: "Playbook Supervisor",
     flag: "--skip-playbook",
-    cmd: "npx @tcanaud/playbook init --yes",
+    marker: ".playbooks",
+    pkg: "@tcanaud/playbook",
+    args: ["init", "--yes"],
   },
 ];
 
-export function install(flags = []) {
-  console.log(`\n  tcsetup v${version}\n`);
+/**
+ * Builds a step's command as argument arrays (see runStep), running the
+ * pinned version of its package through the project's package manager, e.g.
+ * `npx adr-system@2.3.1 init --yes` or `pnpm dlx adr-system@2.3.1 init --yes`.
+ * Steps marked `passesAi` get the AI assistant as `--ai <agent>`.
+ * @returns {string[][]}
+ */
+export function stepCommand(step, pins = {}, ai = DEFAULT_AGENT, pm = DEFAULT_PM, projectRoot = process.cwd()) {
+  if (step.cmd) return [step.passesAi ? [...step.cmd, "--ai", ai] : step.cmd];
+  return [execCommand(pm, packageSpec(step, pins, null), step.args, projectRoot)];
+}
 
-  let current = 0;
-  const total = steps.filter((s) => !flags.includes(s.flag)).length;
+// A skipped prerequisite is still met when the project already has it.
+function presentIn(projectRoot) {
+  return (id) => isInstalled(steps.find((s) => s.id === id).marker, projectRoot);
+}
+
+function skipFlagsExcept(ids, flags) {
+  return steps.filter((s) => !ids.includes(s.id) && !flags.includes(s.flag)).map((s) => s.flag);
+}
+
+/**
+ * Expands `--only=adr,agreements` into the equivalent `--skip-*` flags, so
+ * every selection goes through the same `flags.includes(step.flag)` filter.
+ */
+export function expandSelection(flags = []) {
+  const only = getOptions(flags, "--only")
+    .flatMap((value) => value.split(","))
+    .map((id) => id.trim())
+    .filter(Boolean);
+  if (only.length === 0) return flags;
+
+  for (const id of only) {
+    if (!steps.some((s) => s.id === id)) {
+      throw new Error(`Unknown tool "${id}" in --only. Known tools: ${steps.map((s) => s.id).join(", ")}.`);
+    }
+  }
+  return [...flags, ...skipFlagsExcept(only, flags)];
+}
+
+function hasSelection(flags) {
+  return flags.some((f) => f.startsWith("--skip-")) || getOptions(flags, "--only").length > 0;
+}
+
+/**
+ * Resolves which steps to run: from `--only` / `--skip-*` when given,
+ * otherwise from a checkbox picker when running in a terminal.
+ */
+async function selectSteps(flags) {
+  if (hasSelection(flags) || isMachineOutput() || !process.stdin.isTTY || !process.stdout.isTTY) {
+    return expandSelection(flags);
+  }
 
-  for (const step of steps) {
+  const items = steps.map((s) => ({ id: s.id, label: s.name, checked: true }));
+  const selected = await pickItems(items, "Select the tools to install:");
+  return [...flags, ...skipFlagsExcept(selected, flags)];
+}
+
+/**
+ * Resolves the skip flags, version pins, AI assistant, package manager and command-file copies into an ordered plan,
+ * without running or writing anything. Steps listed in `completed` (done by
+ * a previous run being resumed) are skipped. Unpinned steps run at their
+ * `resolved` version when there is one.
+ */
+export function planInstall(flags = [], projectRoot = process.cwd(), completed = [], resolved = {}) {
+  flags = expandSelection(flags);
+  const manifest = readManifest(projectRoot);
+  const pins = resolvePins(flags, steps, manifest);
+  const ai = resolveAgent(flags, manifest);
+  const pm = detectPackageManager(flags, projectRoot);
+  const plan = [];
+
+  for (const step of sortByRequires(steps)) {
     if (flags.includes(step.flag)) {
-      console.log(`  [skip] ${step.name} (${step.flag})\n`);
+      plan.push({ kind: "skip", id: step.id, name: step.name, reason: step.flag });
+      continue;
+    }
+    if (completed.includes(step.id)) {
+      plan.push({ kind: "skip", id: step.id, name: step.name, reason: "completed in a previous run", completed: true });
       continue;
     }
 
-    current++;
-    console.log(`  [${current}/${total}] ${step.name}`);
-    console.log(`  > ${step.cmd}\n`);
-
-    try {
-      execSync(step.cmd, { stdio: "inherit" });
-      console.log();
-    } catch (err) {
-      console.error(`\n  ⚠ ${step.name} failed (exit code ${err.status}).`);
-      console.error(`  Continuing with remaining steps...\n`);
+    const status = (a) => (a.kind !== "skip" ? "pending" : a.completed ? "succeeded" : "skipped");
+    const outcomes = plan.map((a) => ({ ...a, status: status(a) }));
+    const unmet = unmetRequirement(step, outcomes, presentIn(projectRoot));
+    if (unmet) {
+      plan.push({ kind: "skip", id: step.id, name: step.name, reason: unmet });
+      continue;
     }
+
+    const argv = stepCommand(step, { ...resolved, ...pins }, ai, pm, projectRoot);
+    plan.push({ kind: "run", id: step.id, name: step.name, cmd: formatCommand(argv), argv });
   }
 
-  // ── Install Claude Code commands ──────────────────────
-  const commandsSource = join(__dirname, "..", "commands");
-  const commandsDest = join(process.cwd(), ".claude", "commands");
-
-  if (existsSync(commandsSource)) {
-    const commandFiles = ["tcsetup.onboard.md"];
-    mkdirSync(commandsDest, { recursive: true });
-    for (const file of commandFiles) {
-      const src = join(commandsSource, file);
-      const dest = join(commandsDest, file);
-      if (existsSync(src)) {
-        copyFileSync(src, dest);
-        console.log(`  [cmd] Installed .claude/commands/${file}`);
-      }
+  plan.push(...planCommands(projectRoot, ai));
+
+  return plan;
+}
+
+export async function install(flags = [], projectRoot = process.cwd()) {
+  useMachineOutput(flags);
+  console.log(`\n  tcsetup v${version}\n`);
+
+  const saved = readRunState(projectRoot);
+  let resumed = null;
+  if (flags.includes("--restart")) {
+    clearRunState(projectRoot);
+  } else if (flags.includes("--resume")) {
+    if (!saved) throw new Error("No unfinished init to resume. Run `npx tcsetup init` to start one.");
+    resumed = saved;
+    flags = [...saved.flags, ...flags];
+    console.log(`  Resuming the init started at ${saved.started_at}.\n`);
+  } else if (saved) {
+    console.log("  ⚠ A previous init did not finish. Starting over (use --resume to continue it instead).\n");
+  }
+
+  if (!resumed) flags = await selectSteps(flags);
+  conflictStrategy(flags);
+  const retry = parseRetryOptions(flags, steps.map((s) => s.id));
+  const limit = parallelLimit(flags);
+
+  const completed = completedSteps(resumed);
+  const manifest = readManifest(projectRoot);
+  const pins = resolvePins(flags, steps, manifest);
+  const ai = resolveAgent(flags, manifest);
+
+  // A bare `npx <pkg>` installs nothing the manifest could read a version
+  // from; run unpinned tools at the version the registry names instead. A
+  // dry run looks them up too, so its plan shows what will run.
+  const unpinned = steps.filter((s) => s.pkg && !(s.id in pins) && !flags.includes(s.flag) && !completed.includes(s.id));
+  const resolved = await resolveVersions(unpinned, flags);
+  const unresolved = unpinned.filter((s) => !(s.id in resolved));
+  if (unresolved.length > 0) {
+    console.log(`  ⚠ Could not look up the latest version of ${unresolved.map((s) => s.pkg).join(", ")}. Running the latest without recording its version.\n`);
+  }
+
+  const plan = planInstall(flags, projectRoot, completed, resolved);
+  emit("detect", { source: "markers", tools: steps.filter((s) => isInstalled(s.marker, projectRoot)).map((s) => s.id) });
+
+  if (flags.includes("--dry-run")) {
+    printPlan(plan);
+    printReport({ command: "init", dryRun: true, plan });
+    return [];
+  }
+
+  // The tree was checked when the init started; what it changed since is
+  // not the user's work.
+  preflight(plan.filter((a) => a.kind === "run"), flags, projectRoot, { resuming: resumed !== null });
+
+  const backup = flags.includes("--no-backup") ? null : startBackup(projectRoot, "init", steps.flatMap((s) => s.marker));
+  const runLog = startRunLog(projectRoot, "init");
+  const runState = startRunState(projectRoot, flags, resumed);
+
+  const failFast = flags.includes("--fail-fast");
+  const results = [];
+  const record = (result) => {
+    results.push(result);
+    recordStep(projectRoot, runState, result);
+    return result;
+  };
+  let current = 0;
+  const total = plan.filter((a) => a.kind === "run").length;
+
+  const runAction = async (action, step) => {
+    if (action.kind === "skip") {
+      console.log(`  [skip] ${action.name} (${action.reason})\n`);
+      record(action.completed ? resumedStep(action) : skipStep(action, action.reason));
+      return;
+    }
+
+    if (wasInterrupted()) {
+      record(skipStep(action, "interrupted"));
+      return;
     }
+    if (failFast && hasFailures(results)) {
+      record(skipStep(action, "--fail-fast"));
+      return;
+    }
+
+    const unmet = unmetRequirement(step, results, presentIn(projectRoot));
+    if (unmet) {
+      console.log(`  [skip] ${action.name} (${unmet})\n`);
+      record(skipStep(action, unmet));
+      return;
+    }
+
+    // Exclusive steps keep the terminal to themselves; the others have
+    // their output tagged when they may run side by side.
+    const prefix = limit > 1 && !step.exclusive ? step.id : null;
+    current++;
+    console.log(`  [${current}/${total}] ${action.name}`);
+    console.log(`  > ${action.cmd}\n`);
+
+    const result = record(await runStep(action, stepLog(runLog, action), stepPolicy(retry, step), { prefix, cwd: projectRoot, interactive: step.interactive }));
+    if (backup) trackChanges(backup, action.name);
+    if (result.status === "succeeded") {
+      console.log(prefix ? `  [${prefix}] ✓ ${action.name} done\n` : "");
+    } else if (result.status === "failed") {
+      console.error(`\n  ⚠ ${action.name} failed (${failureReason(result)}). Log: ${result.log}`);
+      console.error(failFast ? `  Stopping (--fail-fast).\n` : `  Continuing with remaining steps...\n`);
+    }
+  };
+
+  const actions = plan.filter((a) => a.phase !== "commands");
+  await runPool(
+    actions.map((action) => {
+      const step = steps.find((s) => s.id === action.id);
+      return { id: step.id, requires: step.requires, exclusive: step.exclusive, run: () => runAction(action, step) };
+    }),
+    limit
+  );
+  // Steps finish in any order when run side by side; report them in plan order.
+  results.sort((a, b) => actions.findIndex((x) => x.id === a.id) - actions.findIndex((x) => x.id === b.id));
+
+  // ── Install Claude Code commands ──────────────────────
+  const copies = plan.filter((a) => a.phase === "commands");
+
+  let commands;
+  if (copies.length > 0 && !wasInterrupted() && !(failFast && hasFailures(results))) {
+    commands = await installCommands(projectRoot, copies, flags);
     console.log();
   }
 
-  console.log("  Done! Project setup complete.\n");
+  // ── Record the manifest ───────────────────────────────
+  const installed = steps.filter((step) =>
+    results.some((r) => r.name === step.name && r.status === "succeeded")
+  );
+  recordTools(projectRoot, installed.map((step) => ({ ...step, version: resolved[step.id] })), { flags, pins, ai, ...(commands && { commands }) });
+  console.log(`  [manifest] Recorded ${installed.length} tool${installed.length === 1 ? "" : "s"} in ${MANIFEST_FILE}\n`);
+
+  const snapshot = backup && finishBackup(backup);
+  reportBackup(snapshot);
+  finishRunLog(runLog, results);
+  console.log(`  [logs] Step output saved to ${LOG_DIR}/${runLog.id}/\n`);
+
+  printSummary(results);
+  if (wasInterrupted()) {
+    console.log("  Run `npx tcsetup init --resume` to continue from the interrupted step.\n");
+  } else if (hasFailures(results)) {
+    console.log("  Fix the failed steps, then run `npx tcsetup init --resume` to continue from the first one.\n");
+  } else {
+    clearRunState(projectRoot);
+    console.log("  Done! Project setup complete.\n");
+  }
+  printReport(runReport("init", results, { ai, tools: installed.map((t) => t.id), backup: snapshot?.id ?? null }));
+  return results;
 }
@@ -0,0 +1,65 @@
+import { existsSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { STATE_DIR, ensureStateDir } from "./state.js";
+
+export const LOG_DIR = `${STATE_DIR}/logs`;
+
+/** Number of run logs kept; older ones are pruned after each run. */
+export const KEEP_LOGS = 10;
+
+/**
+ * Starts the logs of a run: every step gets its own file in
+ * `.tcsetup/logs/<run-id>/`, listed in that directory's index.json.
+ * @param {string} projectRoot - Project root directory
+ * @param {string} command - What is running (e.g. "init", "update")
+ * @returns {object} Run log handle for stepLog() / finishRunLog()
+ */
+export function startRunLog(projectRoot, command) {
+  const id = new Date().toISOString().replace(/[:.]/g, "-");
+  const dir = ensureStateDir(projectRoot, "logs", id);
+  return { id, dir, projectRoot, command, startedAt: new Date().toISOString(), count: 0 };
+}
+
+/**
+ * Reserves the log file of the next step.
+ * @returns {{ path: string, label: string }} Absolute path, and path relative to the project
+ */
+export function stepLog(runLog, action) {
+  runLog.count++;
+  const slug = (action.id ?? action.name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  const file = `${String(runLog.count).padStart(2, "0")}-${slug}.log`;
+  return { path: join(runLog.dir, file), label: `${LOG_DIR}/${runLog.id}/${file}` };
+}
+
+/**
+ * Writes the run index and prunes old run logs.
+ * @param {object} runLog - Handle from startRunLog()
+ * @param {object[]} results - Step results (with their `log` path)
+ */
+export function finishRunLog(runLog, results) {
+  const index = {
+    id: runLog.id,
+    command: runLog.command,
+    started_at: runLog.startedAt,
+    finished_at: new Date().toISOString(),
+    steps: results.map((r) => ({
+      id: r.id,
+      name: r.name,
+      status: r.status,
+      exitCode: r.exitCode,
+      durationMs: r.durationMs ?? null,
+      attempts: r.attempts ?? null,
+      log: r.log ?? null,
+    })),
+  };
+  writeFileSync(join(runLog.dir, "index.json"), JSON.stringify(index, null, 2) + "\n");
+  pruneLogs(runLog.projectRoot);
+}
+
+export function pruneLogs(projectRoot, keep = KEEP_LOGS) {
+  const root = join(projectRoot, LOG_DIR);
+  if (!existsSync(root)) return;
+  for (const id of readdirSync(root).sort().reverse().slice(keep)) {
+    rmSync(join(root, id), { recursive: true, force: true });
+  }
+}
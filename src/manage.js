@@ -0,0 +1,171 @@
+import { existsSync, readFileSync, readdirSync, rmSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { steps, stepCommand } from "./installer.js";
+import { findMarker } from "./detect.js";
+import { readManifest, recordTools, forgetTool, MANIFEST_FILE } from "./manifest.js";
+import { resolvePins } from "./pins.js";
+import { resolveVersions } from "./registry.js";
+import { runStep, formatCommand } from "./runner.js";
+import { detectPackageManager, uninstallCommand } from "./pm.js";
+import { printSummary, failureReason } from "./summary.js";
+import { confirm } from "./prompt.js";
+import { AGENTS, resolveAgent, agentFileName } from "./agents.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const { version } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
+
+/**
+ * Finds an installer step by its flag slug (`adr` for `--skip-adr`).
+ * @param {string|undefined} id - Tool slug from the command line
+ * @returns {object} Installer step
+ */
+export function findStep(id) {
+  const step = steps.find((s) => s.id === id);
+  if (!step) {
+    const known = steps.map((s) => s.id).join(", ");
+    throw new Error(id ? `Unknown tool "${id}". Known tools: ${known}.` : `Missing tool name. Known tools: ${known}.`);
+  }
+  return step;
+}
+
+function hasPackage(pkg, projectRoot) {
+  if (!pkg) return false;
+  if (existsSync(join(projectRoot, "node_modules", pkg))) return true;
+  const pkgJson = join(projectRoot, "package.json");
+  if (!existsSync(pkgJson)) return false;
+  const { dependencies = {}, devDependencies = {} } = JSON.parse(readFileSync(pkgJson, "utf8"));
+  return pkg in dependencies || pkg in devDependencies;
+}
+
+/**
+ * Lists the tool's files in the AI assistant's command directory (the one
+ * recorded in the manifest, .claude/commands by default): those named like
+ * the commands its package ships, and those prefixed with its slug
+ * (e.g. `speckit.plan.md`).
+ */
+function toolCommandFiles(step, projectRoot) {
+  const ai = resolveAgent([], readManifest(projectRoot));
+  const { dir } = AGENTS[ai];
+  const commandsDir = join(projectRoot, dir);
+  if (!existsSync(commandsDir)) return [];
+
+  const shippedDir = step.pkg ? join(projectRoot, "node_modules", step.pkg, "commands") : null;
+  const shipped = shippedDir && existsSync(shippedDir) ? readdirSync(shippedDir).map((file) => agentFileName(file, ai)) : [];
+
+  return readdirSync(commandsDir)
+    .filter((file) => shipped.includes(file) || file.startsWith(`${step.id}.`))
+    .sort()
+    .map((file) => `${dir}/${file}`);
+}
+
+/**
+ * Works out exactly what `remove` would delete for a tool.
+ * @returns {{ markers: string[], pkg: string|null, commands: string[] }}
+ */
+export function planRemove(step, projectRoot = process.cwd()) {
+  const markers = (Array.isArray(step.marker) ? step.marker : [step.marker]).filter((m) =>
+    existsSync(join(projectRoot, m))
+  );
+  return {
+    markers,
+    pkg: hasPackage(step.pkg, projectRoot) ? step.pkg : null,
+    commands: toolCommandFiles(step, projectRoot),
+  };
+}
+
+export async function add(flags = [], projectRoot = process.cwd()) {
+  const step = findStep(flags[0]);
+
+  console.log(`\n  tcsetup add v${version}\n`);
+
+  const marker = findMarker(step.marker, projectRoot);
+  if (marker) {
+    console.log(`  ${step.name} is already installed (${marker}). Run \`npx tcsetup update\` to refresh it.\n`);
+    return [];
+  }
+
+  for (const req of (step.requires ?? []).map(findStep)) {
+    if (!findMarker(req.marker, projectRoot)) {
+      throw new Error(`${step.name} requires ${req.name}. Run \`npx tcsetup add ${req.id}\` first.`);
+    }
+  }
+
+  const manifest = readManifest(projectRoot);
+  const pins = resolvePins(flags, steps, manifest);
+  // Like init, run an unpinned tool at the version the registry names, so
+  // the manifest can record it.
+  const unpinned = step.pkg && !(step.id in pins) ? [step] : [];
+  const resolved = await resolveVersions(unpinned, flags);
+  if (unpinned.length > 0 && !(step.id in resolved)) {
+    console.log(`  ⚠ Could not look up the latest version of ${step.pkg}. Running the latest without recording its version.\n`);
+  }
+  const argv = stepCommand(step, { ...resolved, ...pins }, resolveAgent(flags, manifest), detectPackageManager(flags, projectRoot), projectRoot);
+  const action = { id: step.id, name: step.name, cmd: formatCommand(argv), argv };
+  console.log(`  > ${action.cmd}\n`);
+
+  const result = await runStep(action, null, {}, { cwd: projectRoot });
+  if (result.status === "succeeded") {
+    console.log();
+    recordTools(projectRoot, [{ ...step, version: resolved[step.id] }], { pins });
+    console.log(`  [manifest] Recorded ${step.name} in ${MANIFEST_FILE}\n`);
+  } else if (result.status === "failed") {
+    console.error(`\n  ⚠ ${step.name} failed (${failureReason(result)}).\n`);
+  }
+
+  printSummary([result]);
+  return [result];
+}
+
+export async function remove(flags = [], projectRoot = process.cwd()) {
+  const step = findStep(flags[0]);
+
+  console.log(`\n  tcsetup remove v${version}\n`);
+
+  const { markers, pkg, commands } = planRemove(step, projectRoot);
+  if (markers.length === 0 && !pkg && commands.length === 0) {
+    console.log(`  ${step.name} is not installed. Nothing to remove.\n`);
+    forgetTool(projectRoot, step.id);
+    return [];
+  }
+
+  console.log(`  The following will be deleted for ${step.name}:\n`);
+  for (const marker of markers) console.log(`    ${marker}/`);
+  if (pkg) console.log(`    npm package ${pkg}`);
+  for (const file of commands) console.log(`    ${file}`);
+  console.log();
+
+  if (!flags.includes("--yes")) {
+    if (!process.stdin.isTTY) {
+      throw new Error("Refusing to delete without confirmation. Re-run with --yes.");
+    }
+    if (!(await confirm("  Proceed?"))) {
+      console.log("\n  Aborted. Nothing was deleted.\n");
+      return [];
+    }
+    console.log();
+  }
+
+  for (const marker of markers) {
+    rmSync(join(projectRoot, marker), { recursive: true, force: true });
+    console.log(`  [rm] ${marker}/`);
+  }
+  for (const file of commands) {
+    rmSync(join(projectRoot, file), { force: true });
+    console.log(`  [rm] ${file}`);
+  }
+
+  const results = [];
+  if (pkg) {
+    const argv = [uninstallCommand(detectPackageManager(flags, projectRoot), pkg)];
+    const action = { name: `Uninstall ${pkg}`, cmd: formatCommand(argv), argv };
+    console.log(`\n  > ${action.cmd}\n`);
+    results.push(await runStep(action, null, {}, { cwd: projectRoot }));
+  }
+
+  forgetTool(projectRoot, step.id);
+  console.log(`\n  Removed ${step.name}.\n`);
+
+  if (results.length > 0) printSummary(results);
+  return results;
+}
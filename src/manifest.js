@@ -0,0 +1,147 @@
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { parseYAML } from "./yaml-merge.js";
+import { installedVersion } from "./detect.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const { version } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
+
+export const MANIFEST_FILE = ".tcsetup.yaml";
+
+const HEADER = "# Generated by tcsetup — records how the TC toolchain was installed.\n";
+
+// ── Serialization ─────────────────────────────────────
+
+function scalar(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value !== "string") return String(value);
+  // Quote anything parseYAML would otherwise read as a number, boolean,
+  // null or key separator, so values round-trip as strings.
+  if (
+    value === "" ||
+    /^[\d.]+$/.test(value) ||
+    /^(true|false|null|~)$/.test(value) ||
+    /[:#"]/.test(value) ||
+    /^[-?,[\]{}&*!|>'%@`\s]/.test(value)
+  ) {
+    return `"${value}"`;
+  }
+  return value;
+}
+
+function toYAML(obj, indent = "") {
+  const lines = [];
+  for (const [key, value] of Object.entries(obj)) {
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        lines.push(`${indent}${key}: []`);
+      } else {
+        lines.push(`${indent}${key}:`);
+        for (const item of value) lines.push(`${indent}  - ${scalar(item)}`);
+      }
+    } else if (value !== null && typeof value === "object") {
+      if (Object.keys(value).length === 0) {
+        lines.push(`${indent}${key}: {}`);
+      } else {
+        lines.push(`${indent}${key}:`);
+        lines.push(...toYAML(value, `${indent}  `));
+      }
+    } else {
+      lines.push(`${indent}${key}: ${scalar(value)}`);
+    }
+  }
+  return lines;
+}
+
+// ── Read / write ──────────────────────────────────────
+
+function createManifest() {
+  const now = new Date().toISOString();
+  return { tcsetup_version: version, created_at: now, updated_at: now, flags: [], pins: {}, tools: {}, commands: {} };
+}
+
+/**
+ * Reads the project manifest.
+ * @param {string} projectRoot - Project root directory
+ * @returns {object|null} Manifest, or null for projects that predate it
+ */
+export function readManifest(projectRoot) {
+  const path = join(projectRoot, MANIFEST_FILE);
+  if (!existsSync(path)) return null;
+
+  const { data, parseError } = parseYAML(readFileSync(path, "utf8"));
+  if (parseError) {
+    console.error(`  ⚠ Could not parse ${MANIFEST_FILE} (${parseError}). Falling back to marker detection.\n`);
+    return null;
+  }
+
+  const pins = {};
+  for (const [id, pin] of Object.entries(data.pins ?? {})) {
+    pins[id] = String(pin);
+  }
+
+  const tools = {};
+  for (const [id, tool] of Object.entries(data.tools ?? {})) {
+    tools[id] = { ...tool, ...(tool?.version != null && { version: String(tool.version) }) };
+  }
+
+  // Command hashes are keyed by project-relative path; older manifests used
+  // bare file names, which always lived in .claude/commands.
+  const commands = {};
+  for (const [file, hash] of Object.entries(data.commands ?? {})) {
+    commands[file.includes("/") ? file : `.claude/commands/${file}`] = String(hash);
+  }
+  return {
+    ...createManifest(),
+    ...data,
+    tcsetup_version: String(data.tcsetup_version ?? version),
+    flags: Array.isArray(data.flags) ? data.flags : [],
+    pins,
+    tools,
+    commands,
+  };
+}
+
+export function writeManifest(projectRoot, manifest) {
+  writeFileSync(join(projectRoot, MANIFEST_FILE), HEADER + toYAML(manifest).join("\n") + "\n");
+}
+
+/**
+ * Records tools in the manifest (creating it if needed) with the package
+ * versions currently installed in node_modules or, when the package is not
+ * installed locally, their pinned version or the `version` they ran at.
+ * @param {string} projectRoot - Project root directory
+ * @param {object[]} tools - Tools to record ({ id, name, pkg, version? })
+ * @param {object} [changes] - Extra top-level fields to set (e.g. flags, pins, commands)
+ */
+export function recordTools(projectRoot, tools, changes = {}) {
+  const manifest = readManifest(projectRoot) ?? createManifest();
+  Object.assign(manifest, changes, {
+    tcsetup_version: version,
+    updated_at: new Date().toISOString(),
+  });
+
+  for (const tool of tools) {
+    const entry = { name: tool.name };
+    if (tool.pkg) entry.pkg = tool.pkg;
+    const resolved = installedVersion(tool.pkg, projectRoot) ?? manifest.pins[tool.id] ?? tool.version;
+    if (resolved) entry.version = resolved;
+    manifest.tools[tool.id] = { ...manifest.tools[tool.id], ...entry };
+  }
+
+  writeManifest(projectRoot, manifest);
+  return manifest;
+}
+
+/**
+ * Removes a tool (and its pin) from the manifest, if there is one.
+ */
+export function forgetTool(projectRoot, id) {
+  const manifest = readManifest(projectRoot);
+  if (!manifest) return;
+  delete manifest.tools[id];
+  delete manifest.pins[id];
+  manifest.updated_at = new Date().toISOString();
+  writeManifest(projectRoot, manifest);
+}
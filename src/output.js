@@ -0,0 +1,78 @@
+/**
+ * Machine-readable output for `--json` and `--events`. In either mode stdout
+ * carries only JSON: human-readable progress and child-process output are
+ * sent to stderr instead.
+ */
+
+import { hasFailures } from "./summary.js";
+
+let mode = null;
+
+/**
+ * Switches to machine-readable output when `--json` or `--events` is given.
+ * @param {string[]} flags - CLI flags
+ */
+export function useMachineOutput(flags) {
+  const json = flags.includes("--json");
+  const events = flags.includes("--events");
+  if (!json && !events) return;
+
+  const stdout = process.stdout.write.bind(process.stdout);
+  mode = { json, events, write: (obj) => stdout(JSON.stringify(obj) + "\n") };
+  console.log = (...args) => console.error(...args);
+}
+
+export function isMachineOutput() {
+  return mode !== null;
+}
+
+/**
+ * Where the stdout of child processes is shown: stdout, or stderr in
+ * machine-readable mode.
+ */
+export function childOutput() {
+  return mode ? process.stderr : process.stdout;
+}
+
+/**
+ * Streams one NDJSON event when `--events` is on.
+ * @param {string} type - step:start, step:end, detect or command:copied
+ * @param {object} data - Event payload
+ */
+export function emit(type, data) {
+  if (mode?.events) mode.write({ type, time: new Date().toISOString(), ...data });
+}
+
+/**
+ * Prints the final report of a run when `--json` is on.
+ * @param {object} report - Run report
+ */
+export function printReport(report) {
+  if (mode?.json) mode.write(report);
+}
+
+/**
+ * Builds the `--json` report for a finished run.
+ * @param {string} command - "init" or "update"
+ * @param {object[]} results - Step results
+ * @param {object} [extra] - Extra fields (commands, backup, ...)
+ */
+export function runReport(command, results, extra = {}) {
+  return {
+    command,
+    ok: !hasFailures(results),
+    steps: results.map((r) => ({
+      id: r.id,
+      name: r.name,
+      cmd: r.cmd,
+      status: r.status,
+      exitCode: r.exitCode,
+      durationMs: r.durationMs ?? null,
+      attempts: r.attempts ?? null,
+      timedOut: r.timedOut ?? false,
+      log: r.log ?? null,
+      ...(r.reason && { reason: r.reason }),
+    })),
+    ...extra,
+  };
+}
@@ -0,0 +1,39 @@
+import { getOption } from "./flags.js";
+
+/** Steps run at once for a bare `--parallel`. */
+export const DEFAULT_PARALLEL = 4;
+
+/**
+ * Reads `--parallel[=N]`: how many steps may run at once (1 without it).
+ * @param {string[]} flags - CLI flags
+ * @returns {number}
+ */
+export function parallelLimit(flags) {
+  const value = getOption(flags, "--parallel");
+  if (value === undefined) return flags.includes("--parallel") ? DEFAULT_PARALLEL : 1;
+  if (!/^[1-9]\d*$/.test(value)) throw new Error(`Invalid --parallel "${value}". Expected a number of steps.`);
+  return Number(value);
+}
+
+/**
+ * Runs tasks with at most `limit` of them at once, starting them in the
+ * given order. A task waits for the running tasks it `requires` (by id) to
+ * finish; an `exclusive` one waits for every running task and runs alone.
+ * @param {{ id?: string, requires?: string[], exclusive?: boolean, run: () => Promise<void> }[]} tasks - Tasks to run
+ * @param {number} limit - Maximum tasks running at once
+ */
+export async function runPool(tasks, limit) {
+  const running = new Map();
+  const blocked = (task) =>
+    running.size >= limit ||
+    task.exclusive ||
+    [...running.keys()].some((other) => other.exclusive || (task.requires ?? []).includes(other.id));
+
+  for (const task of tasks) {
+    while (running.size > 0 && blocked(task)) {
+      await Promise.race(running.values());
+    }
+    running.set(task, task.run().finally(() => running.delete(task)));
+  }
+  await Promise.all(running.values());
+}
@@ -0,0 +1,58 @@
+import { emitKeypressEvents, moveCursor, clearLine } from "node:readline";
+
+/**
+ * Shows a checkbox list on the terminal and resolves with the checked ids.
+ * Keys: ↑/↓ (or k/j) move, space toggles, a toggles all, enter confirms.
+ * @param {{ id: string, label: string, checked: boolean }[]} items - Choices
+ * @param {string} title - Line shown above the list
+ * @returns {Promise<string[]>} Ids of the checked items, in list order
+ */
+export function pickItems(items, title) {
+  const { stdin, stdout } = process;
+  const choices = items.map((item) => ({ ...item }));
+  let cursor = 0;
+
+  const render = (redraw) => {
+    if (redraw) moveCursor(stdout, 0, -choices.length);
+    choices.forEach((choice, i) => {
+      clearLine(stdout, 0);
+      stdout.write(`  ${i === cursor ? "❯" : " "} [${choice.checked ? "x" : " "}] ${choice.label}\n`);
+    });
+  };
+
+  return new Promise((resolve) => {
+    const onKeypress = (str, key = {}) => {
+      if (key.ctrl && key.name === "c") {
+        cleanup();
+        stdout.write("\n");
+        process.exit(130);
+      }
+      if (key.name === "up" || key.name === "k") cursor = (cursor - 1 + choices.length) % choices.length;
+      else if (key.name === "down" || key.name === "j") cursor = (cursor + 1) % choices.length;
+      else if (key.name === "space") choices[cursor].checked = !choices[cursor].checked;
+      else if (str === "a") {
+        const all = choices.every((c) => c.checked);
+        for (const choice of choices) choice.checked = !all;
+      } else if (key.name === "return") {
+        cleanup();
+        stdout.write("\n");
+        resolve(choices.filter((c) => c.checked).map((c) => c.id));
+        return;
+      }
+      render(true);
+    };
+
+    const cleanup = () => {
+      stdin.off("keypress", onKeypress);
+      stdin.setRawMode(false);
+      stdin.pause();
+    };
+
+    stdout.write(`  ${title}\n  (↑/↓ move, space toggle, a all, enter confirm)\n\n`);
+    render(false);
+    emitKeypressEvents(stdin);
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on("keypress", onKeypress);
+  });
+}
@@ -0,0 +1,45 @@
+import { getOptions } from "./flags.js";
+
+/**
+ * Parses `--pin <tool>@<version>` options. The tool may be named by its
+ * package (adr-system, @tcanaud/qa-system) or its slug (adr, qa).
+ * @param {string[]} flags - Raw CLI arguments
+ * @param {object[]} tools - Known tools ({ id, name, pkg })
+ * @returns {Record<string, string>} Versions keyed by tool id
+ */
+export function parsePins(flags, tools) {
+  const pins = {};
+  for (const spec of getOptions(flags, "--pin")) {
+    const at = spec.lastIndexOf("@");
+    if (at <= 0 || at === spec.length - 1) {
+      throw new Error(`Invalid --pin "${spec}". Expected <tool>@<version>, e.g. adr-system@2.3.1.`);
+    }
+    const name = spec.slice(0, at);
+    const tool = tools.find((t) => t.pkg === name || t.id === name);
+    if (!tool) {
+      throw new Error(`Unknown tool in --pin "${spec}".`);
+    }
+    if (!tool.pkg) {
+      throw new Error(`${tool.name} is not an npm package and cannot be pinned.`);
+    }
+    pins[tool.id] = spec.slice(at + 1);
+  }
+  return pins;
+}
+
+/**
+ * Merges the pins saved in the manifest with the ones given on the CLI,
+ * the CLI taking precedence.
+ */
+export function resolvePins(flags, tools, manifest) {
+  return { ...(manifest?.pins ?? {}), ...parsePins(flags, tools) };
+}
+
+/**
+ * Returns the npm spec for a tool: `pkg@<pin>` when pinned, else `pkg@latest`
+ * (or the bare package name when `fallback` is null).
+ */
+export function packageSpec(tool, pins, fallback = "latest") {
+  const version = pins[tool.id] ?? fallback;
+  return version ? `${tool.pkg}@${version}` : tool.pkg;
+}
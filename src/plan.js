@@ -0,0 +1,29 @@
+/**
+ * Prints an execution plan as a numbered list that can be pasted into a PR.
+ * Actions are { kind: "run", name, cmd }, { kind: "skip", name, reason },
+ * { kind: "copy", dest, label } or { kind: "delete", dest, label }.
+ * @param {object[]} plan - Ordered actions
+ */
+export function printPlan(plan) {
+  console.log("  Dry run — nothing will be executed or written.\n");
+  console.log("  Plan:");
+
+  let n = 0;
+  for (const action of plan) {
+    if (action.kind === "skip") {
+      console.log(`    -  ${action.name} (skipped: ${action.reason})`);
+      continue;
+    }
+
+    n++;
+    if (action.kind === "run") {
+      console.log(`    ${n}. ${action.name}`);
+      console.log(`       $ ${action.cmd}`);
+    } else if (action.kind === "copy") {
+      console.log(`    ${n}. Write ${action.label}`);
+    } else if (action.kind === "delete") {
+      console.log(`    ${n}. Remove ${action.label} (no longer installed by tcsetup; kept if edited)`);
+    }
+  }
+  console.log();
+}
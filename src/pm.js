@@ -0,0 +1,138 @@
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { getOption } from "./flags.js";
+
+/**
+ * Commands of every supported package manager: `install` adds packages to
+ * the project (`dev` and `exact` are its flags for devDependencies and exact
+ * versions, `workspaceRoot` the one it needs to add to a workspace root),
+ * `exec` runs a package's binary (`npx <pkg>`), `uninstall` removes one.
+ * Lockfiles are checked in this order.
+ */
+export const PACKAGE_MANAGERS = {
+  pnpm: {
+    lockfiles: ["pnpm-lock.yaml"],
+    install: ["pnpm", "add"],
+    dev: "--save-dev",
+    exact: "--save-exact",
+    workspaceRoot: "-w",
+    exec: ["pnpm", "dlx"],
+    uninstall: ["pnpm", "remove"],
+  },
+  yarn: {
+    lockfiles: ["yarn.lock"],
+    install: ["yarn", "add"],
+    dev: "--dev",
+    exact: "--exact",
+    workspaceRoot: "-W",
+    exec: ["yarn", "dlx"],
+    uninstall: ["yarn", "remove"],
+  },
+  bun: {
+    lockfiles: ["bun.lock", "bun.lockb"],
+    install: ["bun", "add"],
+    dev: "--dev",
+    exact: "--exact",
+    exec: ["bunx"],
+    uninstall: ["bun", "remove"],
+  },
+  npm: {
+    lockfiles: ["package-lock.json", "npm-shrinkwrap.json"],
+    install: ["npm", "install"],
+    dev: "--save-dev",
+    exact: "--save-exact",
+    exec: ["npx"],
+    uninstall: ["npm", "uninstall"],
+  },
+};
+
+export const DEFAULT_PM = "npm";
+
+function readPackageJson(projectRoot) {
+  try {
+    return JSON.parse(readFileSync(join(projectRoot, "package.json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function packageManagerField(projectRoot) {
+  const packageManager = readPackageJson(projectRoot)?.packageManager;
+  return typeof packageManager === "string" ? packageManager : null;
+}
+
+/**
+ * Works out which package manager the project uses: `--pm <name>`, then the
+ * `packageManager` field of package.json, then its lockfile, then npm.
+ * @param {string[]} flags - CLI flags
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Key of PACKAGE_MANAGERS
+ */
+export function detectPackageManager(flags = [], projectRoot = process.cwd()) {
+  const names = Object.keys(PACKAGE_MANAGERS);
+
+  const option = getOption(flags, "--pm");
+  if (option !== undefined) {
+    if (!names.includes(option)) throw new Error(`Unknown package manager "${option}" in --pm. Use one of: ${names.join(", ")}.`);
+    return option;
+  }
+
+  const field = packageManagerField(projectRoot)?.split("@")[0];
+  if (names.includes(field)) return field;
+
+  return names.find((name) => PACKAGE_MANAGERS[name].lockfiles.some((file) => existsSync(join(projectRoot, file)))) ?? DEFAULT_PM;
+}
+
+// Yarn 1 has no `dlx`; Berry projects have a .yarnrc.yml or declare yarn@2+.
+function isYarnClassic(projectRoot) {
+  const field = packageManagerField(projectRoot);
+  if (field?.startsWith("yarn@")) return field.startsWith("yarn@1.");
+  return !existsSync(join(projectRoot, ".yarnrc.yml"));
+}
+
+/**
+ * The package manager's equivalent of `npx <spec> <args>`.
+ * @param {string} pm - Key of PACKAGE_MANAGERS
+ * @param {string} spec - Package, optionally with a version (`adr-system@2.3.1`)
+ * @param {string[]} args - Arguments for the package's binary
+ * @param {string} [projectRoot] - Project root, to tell Yarn 1 from Berry
+ * @returns {string[]}
+ */
+export function execCommand(pm, spec, args, projectRoot = process.cwd()) {
+  // Yarn 1 cannot run a package it has not installed; npx does it without
+  // touching the lockfile.
+  const exec = pm === "yarn" && isYarnClassic(projectRoot) ? PACKAGE_MANAGERS.npm.exec : PACKAGE_MANAGERS[pm].exec;
+  return [...exec, spec, ...args];
+}
+
+// pnpm lists its workspaces in pnpm-workspace.yaml, Yarn in package.json.
+// Yarn Berry adds to a workspace root without being told; Yarn 1 does not.
+function isWorkspaceRoot(pm, projectRoot) {
+  if (pm === "pnpm") return existsSync(join(projectRoot, "pnpm-workspace.yaml"));
+  if (pm === "yarn") return Boolean(readPackageJson(projectRoot)?.workspaces) && isYarnClassic(projectRoot);
+  return false;
+}
+
+/**
+ * The package manager's equivalent of `npm install --save-dev <specs>`.
+ * TC tools are development tools, so they never go to `dependencies`.
+ * pnpm and Yarn 1 refuse to add packages to a workspace root unless told to.
+ * @param {string} pm - Key of PACKAGE_MANAGERS
+ * @param {string[]} specs - Packages to install
+ * @param {{ exact?: boolean }} [options] - `exact` saves exact versions instead of ^ranges
+ * @param {string} [projectRoot] - Project root, to spot a pnpm or Yarn 1 workspace root
+ * @returns {string[]}
+ */
+export function installCommand(pm, specs, { exact = false } = {}, projectRoot = process.cwd()) {
+  const { install, dev, exact: saveExact, workspaceRoot } = PACKAGE_MANAGERS[pm];
+  const atWorkspaceRoot = workspaceRoot && isWorkspaceRoot(pm, projectRoot);
+  return [...install, ...(atWorkspaceRoot ? [workspaceRoot] : []), dev, ...(exact ? [saveExact] : []), ...specs];
+}
+
+/**
+ * The package manager's equivalent of `npm uninstall <pkg>`.
+ * @returns {string[]}
+ */
+export function uninstallCommand(pm, pkg) {
+  return [...PACKAGE_MANAGERS[pm].uninstall, pkg];
+}
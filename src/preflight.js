@@ -0,0 +1,135 @@
+import { execSync } from "node:child_process";
+import { accessSync, constants, readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { delimiter, dirname, join } from "node:path";
+import { compareVersions } from "./semver.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const { engines } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
+
+const INSTALL_HINTS = {
+  specify: "Install the Spec Kit CLI: uv tool install specify-cli --from git+https://github.com/github/spec-kit.git",
+  uv: "Install uv: https://docs.astral.sh/uv/getting-started/installation/",
+  npx: "Install Node.js with npm from https://nodejs.org",
+  npm: "Install Node.js with npm from https://nodejs.org",
+  pnpm: "Install pnpm: corepack enable pnpm (or https://pnpm.io/installation)",
+  yarn: "Install Yarn: corepack enable yarn (or https://yarnpkg.com/getting-started/install)",
+  bun: "Install Bun: https://bun.sh",
+  bunx: "Install Bun: https://bun.sh",
+};
+
+/**
+ * Checks a version against a `>=x.y.z` engines range.
+ */
+export function satisfiesEngine(range, version) {
+  const min = /^>=\s*v?([\d.]+)/.exec(range ?? "");
+  if (!min) return true;
+  return compareVersions(version.replace(/^v/, ""), min[1].split(".").concat("0", "0").slice(0, 3).join(".")) >= 0;
+}
+
+/**
+ * Looks a command up on PATH.
+ */
+export function onPath(cmd) {
+  const exts = process.platform === "win32" ? (process.env.PATHEXT ?? ".EXE;.CMD;.BAT").split(";") : [""];
+  for (const dir of (process.env.PATH ?? "").split(delimiter).filter(Boolean)) {
+    for (const ext of exts) {
+      try {
+        accessSync(join(dir, cmd + ext), constants.X_OK);
+        return true;
+      } catch {
+        // keep looking
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Runs the pre-flight checks for the steps that are about to run. Tools are
+ * only checked when a step needs them, so a skipped step skips its check.
+ * @param {{ name: string, argv: string[][] }[]} actions - Steps that will run
+ * @param {string} projectRoot - Project root directory
+ * @param {{ resuming?: boolean }} [options] - `resuming` accepts the
+ *   uncommitted changes left by the run being resumed
+ * @returns {{ ok: boolean, label: string, fix?: string }[]} Check results
+ */
+export function preflightChecks(actions, projectRoot, { resuming = false } = {}) {
+  const checks = [];
+
+  const node = process.versions.node;
+  checks.push(
+    satisfiesEngine(engines?.node, node)
+      ? { ok: true, label: `Node.js v${node} (requires ${engines.node})` }
+      : { ok: false, label: `Node.js v${node} is too old (requires ${engines.node})`, fix: "Upgrade Node.js from https://nodejs.org" }
+  );
+
+  const binaries = new Map();
+  for (const action of actions) {
+    for (const [bin] of action.argv) {
+      if (!binaries.has(bin)) binaries.set(bin, []);
+      if (!binaries.get(bin).includes(action.name)) binaries.get(bin).push(action.name);
+    }
+  }
+  for (const [bin, users] of binaries) {
+    const needs = `needed by ${users.join(", ")}`;
+    checks.push(
+      onPath(bin)
+        ? { ok: true, label: `${bin} found on PATH` }
+        : { ok: false, label: `${bin} not found on PATH (${needs})`, fix: INSTALL_HINTS[bin] ?? `Install ${bin} and make sure it is on PATH` }
+    );
+  }
+
+  try {
+    accessSync(projectRoot, constants.W_OK);
+    checks.push({ ok: true, label: "Project directory is writable" });
+  } catch {
+    checks.push({ ok: false, label: `Cannot write to ${projectRoot}`, fix: "Run tcsetup from a directory you own, or fix its permissions" });
+  }
+
+  let changes = null;
+  try {
+    changes = execSync("git status --porcelain", { cwd: projectRoot, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] });
+  } catch {
+    checks.push({ ok: true, label: "Not a git repository (no uncommitted-changes check)" });
+  }
+  if (changes !== null) {
+    const count = changes.split("\n").filter(Boolean).length;
+    const label = `Git working tree has ${count} uncommitted change${count === 1 ? "" : "s"}`;
+    checks.push(
+      count === 0
+        ? { ok: true, label: "Git working tree is clean" }
+        : resuming
+        ? { ok: true, label: `${label} (left by the init being resumed)` }
+        : {
+            ok: false,
+            label,
+            fix: "Commit or stash them first, so tcsetup's changes can be reviewed on their own",
+          }
+    );
+  }
+
+  return checks;
+}
+
+/**
+ * Prints the pre-flight report and stops the run on failures unless
+ * `--force` is given.
+ */
+export function preflight(actions, flags, projectRoot, options = {}) {
+  const checks = preflightChecks(actions, projectRoot, options);
+
+  console.log("  Pre-flight checks:\n");
+  for (const check of checks) {
+    console.log(`    ${check.ok ? "✓" : "✗"} ${check.label}`);
+    if (!check.ok) console.log(`        → ${check.fix}`);
+  }
+  console.log();
+
+  if (checks.every((c) => c.ok)) return;
+  if (flags.includes("--force")) {
+    console.log("  ⚠ Continuing despite failed pre-flight checks (--force).\n");
+    return;
+  }
+  throw new Error("Pre-flight checks failed. Fix the issues above or re-run with --force.");
+}
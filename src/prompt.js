@@ -0,0 +1,16 @@
+import { createInterface } from "node:readline/promises";
+
+/**
+ * Asks a yes/no question on the terminal. Defaults to "no".
+ * @param {string} question - Question text, without the [y/N] suffix
+ * @returns {Promise<boolean>} True when the user answered yes
+ */
+export async function confirm(question) {
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
@@ -0,0 +1,68 @@
+import { execSync } from "node:child_process";
+import { getOption } from "./flags.js";
+
+const DEFAULT_REGISTRY = "https://registry.npmjs.org/";
+
+// How long resolveVersions() waits for the registry before giving up.
+const RESOLVE_TIMEOUT_MS = 10000;
+
+/**
+ * Resolves the npm registry to query: `--registry`, then the
+ * npm_config_registry environment variable, then `npm config get registry`.
+ * @param {string[]} flags - Raw CLI arguments
+ * @returns {string} Registry URL ending with a slash
+ */
+export function registryUrl(flags = []) {
+  let url = getOption(flags, "--registry") ?? process.env.npm_config_registry;
+  if (!url) {
+    try {
+      url = execSync("npm config get registry", { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+    } catch {
+      url = DEFAULT_REGISTRY;
+    }
+  }
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+/**
+ * Fetches the `latest` dist-tag of a package from the registry.
+ * @param {string} pkg - Package name (scoped names are supported)
+ * @param {string} registry - Registry URL ending with a slash
+ * @param {{ signal?: AbortSignal }} [options] - Signal to abort the request
+ * @returns {Promise<string>} Latest version
+ */
+export async function fetchLatestVersion(pkg, registry, { signal } = {}) {
+  const url = registry + pkg.replace("/", "%2f");
+  const res = await fetch(url, { headers: { accept: "application/vnd.npm.install-v1+json" }, signal });
+  if (!res.ok) {
+    throw new Error(`${pkg}: registry responded ${res.status} ${res.statusText}`);
+  }
+  const latest = (await res.json())["dist-tags"]?.latest;
+  if (!latest) {
+    throw new Error(`${pkg}: registry has no "latest" dist-tag`);
+  }
+  return latest;
+}
+
+/**
+ * Looks up the latest version of each tool's package, so that a tool run
+ * without a pin runs, and is recorded, at a known version. Tools the
+ * registry does not answer for are left out.
+ * @param {{ id: string, pkg: string }[]} tools - Tools to resolve
+ * @param {string[]} flags - Raw CLI arguments (honours --registry)
+ * @returns {Promise<Record<string, string>>} Versions keyed by tool id
+ */
+export async function resolveVersions(tools, flags = []) {
+  if (tools.length === 0) return {};
+  const registry = registryUrl(flags);
+  const signal = AbortSignal.timeout(RESOLVE_TIMEOUT_MS);
+  const entries = await Promise.all(
+    tools.map((tool) =>
+      fetchLatestVersion(tool.pkg, registry, { signal }).then(
+        (latest) => [tool.id, latest],
+        () => null
+      )
+    )
+  );
+  return Object.fromEntries(entries.filter(Boolean));
+}
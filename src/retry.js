@@ -0,0 +1,78 @@
+import { getOptions, getOption } from "./flags.js";
+
+/** Seconds a step may run before it is stopped, unless the tool sets its own `timeout`. */
+export const DEFAULT_TIMEOUT = 600;
+
+/** Retries after the first attempt for steps that fail with a transient error. */
+export const DEFAULT_RETRIES = 2;
+
+/** Delay before the first retry; doubled for every further one. */
+export const BACKOFF_MS = 2000;
+
+// Network and registry errors that are worth another try.
+const TRANSIENT = [
+  /\bE(CONNRESET|CONNREFUSED|TIMEDOUT|AI_AGAIN|NOTFOUND|PIPE)\b/,
+  /\bERR_SOCKET_TIMEOUT\b/,
+  /socket hang up/i,
+  /network (error|timeout|request)/i,
+  /\b(429|50[234])\b.*(Too Many Requests|Bad Gateway|Service Unavailable|Gateway Time-?out)/i,
+  /npm (ERR!|error) code E(429|50[234])\b/,
+];
+
+/**
+ * Tells whether a failed step's output shows a transient error.
+ */
+export function isTransient(output) {
+  return TRANSIENT.some((pattern) => pattern.test(output));
+}
+
+/**
+ * Reads `--timeout` (`<seconds>` for every step, `<tool>=<seconds>` for one
+ * tool, repeatable; 0 disables it) and `--retries <n>`.
+ * @param {string[]} flags - CLI flags
+ * @param {string[]} ids - Known tool ids
+ * @returns {{ timeout: number|null, perTool: Record<string, number>, retries: number }}
+ */
+export function parseRetryOptions(flags, ids) {
+  const options = { timeout: null, perTool: {}, retries: DEFAULT_RETRIES };
+
+  for (const value of getOptions(flags, "--timeout")) {
+    const match = /^(?:([\w-]+)=)?(\d+)$/.exec(value ?? "");
+    if (!match) throw new Error(`Invalid --timeout "${value}". Expected <seconds> or <tool>=<seconds>.`);
+    const [, id, seconds] = match;
+    if (!id) {
+      options.timeout = Number(seconds);
+    } else if (ids.includes(id)) {
+      options.perTool[id] = Number(seconds);
+    } else {
+      throw new Error(`Unknown tool "${id}" in --timeout. Known tools: ${ids.join(", ")}.`);
+    }
+  }
+
+  const retries = getOption(flags, "--retries");
+  if (retries !== undefined) {
+    if (!/^\d+$/.test(retries)) throw new Error(`Invalid --retries "${retries}". Expected a number.`);
+    options.retries = Number(retries);
+  }
+  return options;
+}
+
+/**
+ * Works out how long a step may run and how often it may be attempted.
+ * Precedence: `--timeout <tool>=<s>`, `--timeout <s>`, the tool's own
+ * `timeout`, then DEFAULT_TIMEOUT.
+ * @param {object} options - From parseRetryOptions()
+ * @param {{ id?: string, timeout?: number }} [tool] - Step or tool definition
+ * @returns {{ timeoutMs: number|null, attempts: number, backoffMs: number }}
+ */
+export function stepPolicy(options, tool) {
+  const seconds = options.perTool[tool?.id] ?? options.timeout ?? tool?.timeout ?? DEFAULT_TIMEOUT;
+  return { timeoutMs: seconds > 0 ? seconds * 1000 : null, attempts: options.retries + 1, backoffMs: BACKOFF_MS };
+}
+
+/**
+ * Formats a duration in seconds as e.g. "10m" or "90s".
+ */
+export function formatSeconds(seconds) {
+  return seconds % 60 === 0 ? `${seconds / 60}m` : `${seconds}s`;
+}
@@ -0,0 +1,64 @@
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { listBackups, restoreBackup, BACKUP_DIR } from "./backup.js";
+import { formatTable } from "./table.js";
+import { confirm } from "./prompt.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const { version } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
+
+function printBackups(backups) {
+  const rows = [["Backup", "Command", "Created", "Files"]];
+  for (const b of backups) {
+    rows.push([b.id, b.label, b.created_at.replace("T", " ").slice(0, 19), String(b.changes.length)]);
+  }
+  for (const line of formatTable(rows)) console.log(`  ${line}`);
+  console.log();
+}
+
+/**
+ * Restores the files changed by a previous init/update run. Without an id,
+ * the most recent backup is used; `--list` only lists the backups.
+ */
+export async function rollback(flags = [], projectRoot = process.cwd()) {
+  console.log(`\n  tcsetup rollback v${version}\n`);
+
+  const backups = listBackups(projectRoot);
+  if (backups.length === 0) {
+    console.log(`  No backups found in ${BACKUP_DIR}.\n`);
+    return;
+  }
+
+  if (flags.includes("--list")) {
+    printBackups(backups);
+    return;
+  }
+
+  const id = flags.find((f) => !f.startsWith("--")) ?? backups[0].id;
+  const snapshot = backups.find((b) => b.id === id);
+  if (!snapshot) {
+    throw new Error(`No backup "${id}". Run \`npx tcsetup rollback --list\` to see available backups.`);
+  }
+
+  console.log(`  Rolling back \`tcsetup ${snapshot.label}\` from ${snapshot.created_at}:\n`);
+  for (const change of snapshot.changes) {
+    console.log(`    ${change.before === null ? "delete " : "restore"} ${change.path}`);
+  }
+  console.log();
+
+  if (!flags.includes("--yes")) {
+    if (!process.stdin.isTTY) {
+      throw new Error("Refusing to roll back without confirmation. Re-run with --yes.");
+    }
+    if (!(await confirm("  Proceed?"))) {
+      console.log("\n  Aborted. Nothing was changed.\n");
+      return;
+    }
+    console.log();
+  }
+
+  const { restored, removed } = restoreBackup(projectRoot, id);
+  console.log(`  Restored ${restored.length} file${restored.length === 1 ? "" : "s"}, deleted ${removed.length}.`);
+  console.log("  node_modules is not part of the backup — run `npm install` to match package.json again.\n");
+}
@@ -0,0 +1,270 @@
+import { spawn } from "node:child_process";
+import { createWriteStream } from "node:fs";
+import { setTimeout as sleep } from "node:timers/promises";
+import { childOutput, emit } from "./output.js";
+import { isTransient } from "./retry.js";
+
+// Enough of a failed attempt's output to spot a transient error in it.
+const OUTPUT_TAIL = 16 * 1024;
+
+// Grace period between asking a step to stop and killing it.
+const KILL_AFTER_MS = 5000;
+
+/** Exit code recorded for steps stopped by their timeout (as timeout(1) does). */
+export const TIMEOUT_EXIT_CODE = 124;
+
+/** Exit code recorded for steps stopped by Ctrl-C, and of an interrupted run. */
+export const INTERRUPT_EXIT_CODE = 130;
+
+// npm's executables (npx, npm) are .cmd shims on Windows, which only run
+// through cmd.exe.
+const useShell = process.platform === "win32";
+
+let listening = false;
+let interrupted = false;
+const running = new Set();
+// Children started as the leader of their own process group.
+const groups = new WeakSet();
+
+// Signals a child and, when it leads a process group, everything it started
+// (npx → npm → postinstall scripts).
+function signal(child, name) {
+  try {
+    if (groups.has(child)) process.kill(-child.pid, name);
+    else child.kill(name);
+  } catch {
+    // Already gone.
+  }
+}
+
+function stop(child, name) {
+  signal(child, name);
+  setTimeout(() => signal(child, "SIGKILL"), KILL_AFTER_MS).unref();
+}
+
+function onInterrupt() {
+  if (interrupted) process.exit(INTERRUPT_EXIT_CODE); // second Ctrl-C: don't wait
+  interrupted = true;
+  console.error("\n  ✗ Interrupted. Stopping...\n");
+  // The terminal sends SIGINT to the children reading it; repeat it for
+  // `kill -INT` and for the children in their own process group.
+  for (const child of running) stop(child, "SIGINT");
+}
+
+/**
+ * Tells whether Ctrl-C stopped the run. Once set, runStep() starts nothing
+ * more and callers skip their remaining steps.
+ */
+export function wasInterrupted() {
+  return interrupted;
+}
+
+/**
+ * Formats a step's argument arrays as a command line for display,
+ * e.g. `npx @tcanaud/knowledge-system update && npx @tcanaud/knowledge-system refresh`.
+ * @param {string[][]} argv - Commands, run one after the other
+ */
+export function formatCommand(argv) {
+  const quote = (arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`);
+  return argv.map((args) => args.map(quote).join(" ")).join(" && ");
+}
+
+// Writes output line by line, each line tagged with the step it came from,
+// so steps running side by side stay readable.
+function prefixed(stream, prefix) {
+  let pending = "";
+  return {
+    write(chunk) {
+      const lines = (pending + chunk).split(/\r?\n/);
+      pending = lines.pop();
+      for (const line of lines) stream.write(`  [${prefix}] ${line}\n`);
+    },
+    end() {
+      if (pending) stream.write(`  [${prefix}] ${pending}\n`);
+      pending = "";
+    },
+  };
+}
+
+function launch(args, { env, cwd, stdin, terminal }) {
+  const [file, ...rest] = args;
+  const stdio = terminal ? "inherit" : [stdin ? "inherit" : "ignore", "pipe", "pipe"];
+  // A process group of its own lets a timeout stop the child's children as
+  // well. It also takes the child off the terminal, so children that read
+  // the terminal stay in ours; Ctrl-C reaches all of them there anyway.
+  const detached = !useShell && !((terminal || stdin) && process.stdin.isTTY);
+  const options = { stdio, env, cwd, detached };
+  const child = useShell ? spawn(formatCommand([args]), { ...options, shell: true }) : spawn(file, rest, options);
+  if (detached) groups.add(child);
+  return child;
+}
+
+// Runs one command of a step; resolves with its exit code.
+function runCommand(args, capture, deadline, { prefix, cwd, interactive }) {
+  return new Promise((resolve) => {
+    // Colours are lost when output goes through a pipe; keep them when the
+    // user is watching a terminal.
+    const env = process.stderr.isTTY ? { FORCE_COLOR: "1", ...process.env } : process.env;
+    // Interactive installers draw prompts and progress bars for a terminal;
+    // give them the real one when the user is watching it.
+    const terminal = Boolean(interactive) && !prefix && process.stdout.isTTY && childOutput() === process.stdout;
+    // Steps running side by side cannot share the terminal's input.
+    const child = launch(args, { env, cwd, stdin: !prefix, terminal });
+    running.add(child);
+
+    const stdout = prefix ? prefixed(childOutput(), prefix) : childOutput();
+    const stderr = prefix ? prefixed(process.stderr, prefix) : process.stderr;
+    if (!terminal) {
+      child.stdout.setEncoding("utf8");
+      child.stderr.setEncoding("utf8");
+      child.stdout.on("data", (chunk) => {
+        stdout.write(chunk);
+        capture(chunk);
+      });
+      child.stderr.on("data", (chunk) => {
+        stderr.write(chunk);
+        capture(chunk);
+      });
+    }
+
+    const left = deadline.ms && deadline.ms - (Date.now() - deadline.start);
+    const timer =
+      deadline.ms &&
+      setTimeout(() => {
+        deadline.expired = true;
+        stop(child, "SIGTERM");
+      }, Math.max(left, 0));
+
+    let settled = false;
+    const done = (exitCode) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      running.delete(child);
+      if (prefix) {
+        stdout.end();
+        stderr.end();
+      }
+      if (terminal) capture(`(Output shown in the terminal, not captured. Exit code ${exitCode}.)\n`);
+      resolve(exitCode);
+    };
+    child.on("error", (err) => {
+      const message = err.code === "ENOENT" ? `${args[0]}: command not found` : err.message;
+      stderr.write(`${message}\n`);
+      capture(`${message}\n`);
+      done(127);
+    });
+    child.on("close", (code) => done(code ?? 1));
+    // A stopped step can leave children holding the pipes open; don't wait
+    // for them once the step itself has exited.
+    child.on("exit", () => {
+      if (!deadline.expired && !interrupted) return;
+      child.stdout?.destroy();
+      child.stderr?.destroy();
+      done(1);
+    });
+  });
+}
+
+// Runs a step's commands one after the other, stopping at the first failure
+// (like `&&`). The timeout covers all of them.
+async function runOnce(argv, log, timeoutMs, header, options) {
+  const file = log ? createWriteStream(log.path, { flags: "a" }) : null;
+  let output = "";
+  const capture = (chunk) => {
+    file?.write(chunk);
+    output = (output + chunk).slice(-OUTPUT_TAIL);
+  };
+
+  const deadline = { ms: timeoutMs, start: Date.now(), expired: false };
+  let exitCode = 0;
+  for (const args of argv) {
+    if (interrupted) break;
+    file?.write(`$ ${formatCommand([args])}${header}\n\n`);
+    exitCode = await runCommand(args, capture, deadline, options);
+    if (exitCode !== 0) break;
+  }
+
+  if (interrupted) {
+    exitCode = INTERRUPT_EXIT_CODE;
+    file?.write("\nStopped by Ctrl-C.\n");
+  } else if (deadline.expired) {
+    exitCode = TIMEOUT_EXIT_CODE;
+    file?.write(`\nStopped after ${timeoutMs / 1000}s (timeout).\n`);
+  }
+  if (file) await new Promise((resolve) => file.end(resolve));
+  return { exitCode, timedOut: deadline.expired && !interrupted, output };
+}
+
+/**
+ * Runs one plan action and records its outcome. The action's `argv` holds
+ * one argument array per command; they are spawned directly, without a
+ * shell, and run in order until one fails. Output is shown live and, when a
+ * log file is given, also written to it. A step that runs longer than
+ * `timeoutMs` is stopped; one that fails with a transient error is retried
+ * with exponential backoff, up to `attempts` runs in total. Ctrl-C stops the
+ * step and records it as interrupted. Commands run in `cwd` (the current
+ * directory by default). With a `prefix`, the step runs without terminal
+ * input and each output line is tagged `[prefix]`, for steps that run side
+ * by side. An `interactive` step run from a terminal gets the terminal
+ * itself: its output is not captured, and its log only records the exit
+ * code.
+ * @param {{ id?: string, name: string, cmd: string, argv: string[][] }} action - Action to run
+ * @param {{ path: string, label: string }} [log] - Log file from stepLog()
+ * @param {{ timeoutMs?: number|null, attempts?: number, backoffMs?: number }} [policy] - From stepPolicy()
+ * @param {{ prefix?: string, cwd?: string, interactive?: boolean }} [options] - Output tag, working directory and terminal use
+ * @returns {Promise<object>} { id, name, cmd, status, exitCode, durationMs, attempts, timedOut?, log? }
+ */
+export async function runStep(action, log = null, policy = {}, options = {}) {
+  const { timeoutMs = null, attempts = 1, backoffMs = 0 } = policy;
+  const step = { id: action.id ?? null, name: action.name, cmd: action.cmd };
+  if (!listening) {
+    process.on("SIGINT", onInterrupt);
+    listening = true;
+  }
+  emit("step:start", step);
+
+  const started = Date.now();
+  let attempt = 0;
+  let outcome;
+  for (;;) {
+    attempt++;
+    const header = attempt > 1 ? `  (attempt ${attempt}/${attempts})` : "";
+    outcome = await runOnce(action.argv, log, timeoutMs, header, options);
+    if (outcome.exitCode === 0 || outcome.timedOut || interrupted) break;
+    if (attempt >= attempts || !isTransient(outcome.output)) break;
+
+    const delay = backoffMs * 2 ** (attempt - 1);
+    console.log(`\n  ↻ ${action.name} hit a transient error. Retrying in ${delay / 1000}s (attempt ${attempt + 1}/${attempts})...\n`);
+    await sleep(delay);
+    if (interrupted) break;
+  }
+
+  const result = {
+    ...step,
+    status: interrupted ? "interrupted" : outcome.exitCode === 0 ? "succeeded" : "failed",
+    exitCode: interrupted ? INTERRUPT_EXIT_CODE : outcome.exitCode,
+    durationMs: Date.now() - started,
+    attempts: attempt,
+    ...(outcome.timedOut && { timedOut: true, timeoutMs }),
+    ...(log && { log: log.label }),
+  };
+  emit("step:end", result);
+  return result;
+}
+
+export function skipStep(action, reason) {
+  const result = { id: action.id ?? null, name: action.name, cmd: action.cmd ?? null, status: "skipped", exitCode: null, reason };
+  emit("step:end", result);
+  return result;
+}
+
+/**
+ * Records a step that a resumed run does not repeat because the previous
+ * run completed it.
+ */
+export function resumedStep(action) {
+  const result = { id: action.id ?? null, name: action.name, cmd: null, status: "succeeded", exitCode: 0, reason: action.reason };
+  emit("step:end", result);
+  return result;
+}
@@ -0,0 +1,64 @@
+import { existsSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { STATE_DIR, ensureStateDir } from "./state.js";
+
+export const RUN_STATE_FILE = `${STATE_DIR}/run-state.json`;
+
+// Flags that control resuming itself rather than what the run does.
+const RUN_CONTROL_FLAGS = ["--resume", "--restart"];
+
+/**
+ * Reads the progress of an init run that did not finish.
+ * @returns {{ flags: string[], started_at: string, steps: Record<string, string> }|null}
+ */
+export function readRunState(projectRoot) {
+  const path = join(projectRoot, RUN_STATE_FILE);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Starts tracking a run's progress.
+ * @param {string} projectRoot - Project root directory
+ * @param {string[]} flags - Flags of the run, saved so `--resume` can reuse them
+ * @param {object|null} [previous] - State being resumed, whose progress is kept
+ */
+export function startRunState(projectRoot, flags, previous = null) {
+  const state = {
+    flags: flags.filter((f) => !RUN_CONTROL_FLAGS.includes(f)),
+    started_at: previous?.started_at ?? new Date().toISOString(),
+    steps: { ...previous?.steps },
+  };
+  saveRunState(projectRoot, state);
+  return state;
+}
+
+/**
+ * Records a step's outcome. Called after every step, so an interrupted run
+ * can be resumed from the first step that did not succeed.
+ */
+export function recordStep(projectRoot, state, result) {
+  if (!result.id) return;
+  state.steps[result.id] = result.status;
+  saveRunState(projectRoot, state);
+}
+
+function saveRunState(projectRoot, state) {
+  ensureStateDir(projectRoot);
+  writeFileSync(join(projectRoot, RUN_STATE_FILE), JSON.stringify(state, null, 2) + "\n");
+}
+
+export function clearRunState(projectRoot) {
+  rmSync(join(projectRoot, RUN_STATE_FILE), { force: true });
+}
+
+/**
+ * Ids of the steps a saved run completed.
+ */
+export function completedSteps(state) {
+  return Object.keys(state?.steps ?? {}).filter((id) => state.steps[id] === "succeeded");
+}
@@ -0,0 +1,43 @@
+/**
+ * Parses a semver string ("1.2.3", "v1.2.3-beta.1") into its parts.
+ * @param {string} version - Version string
+ * @returns {{ major: number, minor: number, patch: number, prerelease: string }|null}
+ */
+export function parseVersion(version) {
+  const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(String(version).trim());
+  if (!match) return null;
+  return { major: +match[1], minor: +match[2], patch: +match[3], prerelease: match[4] ?? "" };
+}
+
+/**
+ * Compares two versions. A prerelease sorts before its release.
+ * @returns {number} Negative, zero or positive like Array#sort comparators
+ */
+export function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) return String(a).localeCompare(String(b));
+
+  for (const key of ["major", "minor", "patch"]) {
+    if (va[key] !== vb[key]) return va[key] - vb[key];
+  }
+  if (va.prerelease === vb.prerelease) return 0;
+  if (!va.prerelease) return 1;
+  if (!vb.prerelease) return -1;
+  return va.prerelease.localeCompare(vb.prerelease, undefined, { numeric: true });
+}
+
+/**
+ * Names the bump needed to go from `current` to `latest`.
+ * @returns {"major"|"minor"|"patch"|"prerelease"|null} Null when up to date
+ */
+export function bumpType(current, latest) {
+  if (compareVersions(current, latest) >= 0) return null;
+  const vc = parseVersion(current);
+  const vl = parseVersion(latest);
+  if (!vc || !vl) return "unknown";
+  if (vc.major !== vl.major) return "major";
+  if (vc.minor !== vl.minor) return "minor";
+  if (vc.patch !== vl.patch) return "patch";
+  return "prerelease";
+}
@@ -0,0 +1,19 @@
+import { existsSync, mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+
+/** Directory for tcsetup's own run data (backups, logs), ignored by git. */
+export const STATE_DIR = ".tcsetup";
+
+/**
+ * Creates a directory under .tcsetup, making sure git ignores all of it.
+ * @param {string} projectRoot - Project root directory
+ * @param {...string} parts - Path below .tcsetup
+ * @returns {string} Absolute path of the directory
+ */
+export function ensureStateDir(projectRoot, ...parts) {
+  const dir = join(projectRoot, STATE_DIR, ...parts);
+  mkdirSync(dir, { recursive: true });
+  const gitignore = join(projectRoot, STATE_DIR, ".gitignore");
+  if (!existsSync(gitignore)) writeFileSync(gitignore, "*\n");
+  return dir;
+}
@@ -0,0 +1,90 @@
+import { existsSync, readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { steps } from "./installer.js";
+import { TOOLS } from "./updater.js";
+import { findMarker, installedVersion } from "./detect.js";
+import { formatTable } from "./table.js";
+import { readManifest } from "./manifest.js";
+import { hashContent, planCommands } from "./commands.js";
+import { resolveAgent, toAgentFormat } from "./agents.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const { version } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
+
+/**
+ * Lists every known TC tool: the installer steps first, then any updater
+ * entry the installer does not cover (matched by package name).
+ */
+function knownTools() {
+  const tools = steps.map((s) => ({ name: s.name, marker: s.marker, pkg: s.pkg }));
+  for (const tool of TOOLS) {
+    if (!tools.some((t) => t.pkg === tool.pkg)) {
+      tools.push({ name: tool.name, marker: tool.marker, pkg: tool.pkg });
+    }
+  }
+  return tools;
+}
+
+/**
+ * Collects the install state of every TC tool and tcsetup command file.
+ * Command files are "modified" when they no longer match the hash recorded
+ * when tcsetup installed them.
+ * @param {string} projectRoot - Project root directory
+ * @returns {{ tools: object[], commands: object[] }}
+ */
+export function getStatus(projectRoot) {
+  const tools = knownTools().map((tool) => {
+    const marker = findMarker(tool.marker, projectRoot);
+    return {
+      name: tool.name,
+      pkg: tool.pkg,
+      installed: marker !== null,
+      marker,
+      version: installedVersion(tool.pkg, projectRoot),
+    };
+  });
+
+  const manifest = readManifest(projectRoot);
+  const hashes = manifest?.commands ?? {};
+  const copies = planCommands(projectRoot, resolveAgent([], manifest)).filter((a) => a.kind === "copy");
+  const commands = copies.map((copy) => {
+    let state = "missing";
+    if (existsSync(copy.dest)) {
+      const shipped = toAgentFormat(readFileSync(copy.src, "utf8"), copy.ai);
+      const current = readFileSync(copy.dest, "utf8");
+      if (current === shipped) state = "up-to-date";
+      else if (copy.label in hashes && hashes[copy.label] !== hashContent(current)) state = "modified";
+      else state = "outdated";
+    }
+    return { file: copy.label, state };
+  });
+
+  return { tools, commands };
+}
+
+export function status(flags = [], projectRoot = process.cwd()) {
+  const { tools, commands } = getStatus(projectRoot);
+
+  if (flags.includes("--json")) {
+    console.log(JSON.stringify({ version, projectRoot, tools, commands }, null, 2));
+    return;
+  }
+
+  console.log(`\n  tcsetup status v${version}\n`);
+
+  const rows = [
+    ["Tool", "Installed", "Marker", "Version"],
+    ...tools.map((t) => [t.name, t.installed ? "yes" : "no", t.marker ?? "-", t.version ?? "-"]),
+  ];
+  for (const line of formatTable(rows)) {
+    console.log(`  ${line}`);
+  }
+  console.log();
+
+  console.log("  Commands:");
+  for (const cmd of commands) {
+    console.log(`    ${cmd.state === "up-to-date" ? "✓" : "✗"} ${cmd.file} (${cmd.state})`);
+  }
+  console.log();
+}
@@ -0,0 +1,58 @@
+import { formatSeconds } from "./retry.js";
+import { formatTable } from "./table.js";
+
+/** Result icons, by step status. */
+export const ICONS = { succeeded: "✓", failed: "✗", interrupted: "✗", skipped: "-" };
+
+/**
+ * Tells whether any step failed or was interrupted.
+ */
+export function hasFailures(results) {
+  return results.some((r) => r.status === "failed" || r.status === "interrupted");
+}
+
+/**
+ * Says why a step failed, e.g. "exit code 1" or "timed out after 10m".
+ */
+export function failureReason(r) {
+  if (r.status === "interrupted") return "stopped by Ctrl-C";
+  return r.timedOut ? `timed out after ${formatSeconds(r.timeoutMs / 1000)}` : `exit code ${r.exitCode}`;
+}
+
+function detail(r) {
+  const attempts = r.attempts > 1 ? `${r.attempts} attempts` : null;
+  if (r.status === "failed" || r.status === "interrupted") {
+    return [failureReason(r), attempts, r.log && `see ${r.log}`].filter(Boolean).join(", ");
+  }
+  if (attempts) return `after ${attempts}`;
+  return r.reason ?? "";
+}
+
+/**
+ * Prints the pass/fail table for a run.
+ * @param {object[]} results - Step outcomes from runStep() / skipStep()
+ */
+export function printSummary(results) {
+  const rows = [
+    ["Step", "Result", "Detail"],
+    ...results.map((r) => [
+      r.name,
+      `${ICONS[r.status]} ${r.status}`,
+      detail(r),
+    ]),
+  ];
+
+  console.log("  Summary:\n");
+  for (const line of formatTable(rows)) {
+    console.log(`    ${line}`);
+  }
+  console.log();
+
+  const failed = results.filter((r) => r.status === "failed").length;
+  if (failed > 0) {
+    console.log(`  ✗ ${failed} step${failed === 1 ? "" : "s"} failed.\n`);
+  }
+  if (results.some((r) => r.status === "interrupted")) {
+    console.log("  ✗ Interrupted. The remaining steps were not run.\n");
+  }
+}
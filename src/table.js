@@ -0,0 +1,9 @@
+/**
+ * Formats rows of cells as left-aligned columns.
+ * @param {string[][]} rows - Rows of cells, header first
+ * @returns {string[]} Lines without indentation
+ */
+export function formatTable(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((r) => String(r[i]).length)));
+  return rows.map((row) => row.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd());
+}
@@ -1,84 +1,217 @@
-import { execSync } from "node:child_process";
-import { existsSync, mkdirSync, copyFileSync, readFileSync } from "node:fs";
+import { readFileSync } from "node:fs";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
+import { isInstalled, installedVersion } from "./detect.js";
+import { printPlan } from "./plan.js";
+import { preflight } from "./preflight.js";
+import { startBackup, trackChanges, finishBackup, reportBackup } from "./backup.js";
+import { planCommands, installCommands, conflictStrategy } from "./commands.js";
+import { resolveAgent } from "./agents.js";
+import { startRunLog, stepLog, finishRunLog, LOG_DIR } from "./logs.js";
+import { useMachineOutput, emit, printReport, runReport } from "./output.js";
+import { runStep, skipStep, formatCommand, wasInterrupted } from "./runner.js";
+import { printSummary, hasFailures, failureReason } from "./summary.js";
+import { readManifest, recordTools, MANIFEST_FILE } from "./manifest.js";
+import { resolvePins, packageSpec } from "./pins.js";
+import { resolveVersions } from "./registry.js";
+import { parseRetryOptions, stepPolicy } from "./retry.js";
+import { migrateDependencies } from "./dependencies.js";
+import { detectPackageManager, execCommand, installCommand, PACKAGE_MANAGERS } from "./pm.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const { version } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
 
-const TOOLS = [
+/**
+ * Update entries for every tool the installer sets up. Most tools are npm
+ * packages refreshed by the shared `npm install` (or the project package
+ * manager's equivalent) and then run with each of their `args`. `viaNpx`
+ * tools are not installed into node_modules; their installer is run at the
+ * pinned (or latest) version instead. Tools without `pkg` run their own
+ * `cmd` and are left out of the install, and `passesAi` ones get
+ * `--ai <agent>`. `interactive` tools ask questions and get the terminal.
+ */
+export const TOOLS = [
   {
+    id: "bmad",
+    name: "BMAD Method",
+    marker: ["_bmad", ".bmad"],
+    pkg: "bmad-method",
+    viaNpx: true,
+    args: [["install"]],
+    timeout: 1800,
+    interactive: true,
+  },
+  {
+    id: "speckit",
+    name: "Spec Kit",
+    marker: ".specify",
+    pkg: null,
+    cmd: [
+      ["uv", "tool", "install", "specify-cli", "--force", "--from", "git+https://github.com/github/spec-kit.git"],
+      ["specify", "init", "--here", "--force"],
+    ],
+    passesAi: true,
+    interactive: true,
+  },
+  {
+    id: "adr",
     name: "ADR System",
     marker: ".adr",
     pkg: "adr-system",
-    cmd: "npx adr-system update",
+    args: [["update"]],
   },
   {
+    id: "agreements",
     name: "Agreement System",
     marker: ".agreements",
     pkg: "agreement-system",
-    cmd: "npx agreement-system update",
+    args: [["update"]],
   },
   {
+    id: "lifecycle",
     name: "Feature Lifecycle",
     marker: ".features",
     pkg: "feature-lifecycle",
-    cmd: "npx feature-lifecycle update",
+    args: [["update"]],
   },
   {
+    id: "mermaid",
     name: "Mermaid Workbench",
     marker: ["_bmad/modules/mermaid-workbench", ".bmad/modules/mermaid-workbench"],
     pkg: "mermaid-workbench",
-    cmd: "npx mermaid-workbench init",
+    args: [["init"]],
   },
   {
+    id: "knowledge",
     name: "Knowledge System",
     marker: ".knowledge",
     pkg: "@tcanaud/knowledge-system",
-    cmd: "npx @tcanaud/knowledge-system update && npx @tcanaud/knowledge-system refresh",
+    args: [["update"], ["refresh"]],
   },
   {
+    id: "product",
     name: "Product Manager",
     marker: ".product",
     pkg: "@tcanaud/product-manager",
-    cmd: "npx @tcanaud/product-manager update",
+    args: [["update"]],
   },
   {
+    id: "qa",
     name: "QA System",
     marker: ".qa",
     pkg: "@tcanaud/qa-system",
-    cmd: "npx @tcanaud/qa-system update",
+    args: [["update"]],
   },
   {
+    id: "playbook",
     name: "Playbook Supervisor",
     marker: ".playbooks",
     pkg: "@tcanaud/playbook",
-    cmd: "npx @tcanaud/playbook update",
+    args: [["update"]],
   },
 ];
 
-const COMMAND_FILES = ["tcsetup.onboard.md"];
+function toolCommand(tool, pins, ai, pm, projectRoot) {
+  if (tool.cmd) {
+    if (!tool.passesAi) return tool.cmd;
+    const last = tool.cmd.at(-1);
+    return [...tool.cmd.slice(0, -1), [...last, "--ai", ai]];
+  }
+  // npx runs the copy that `npm install` just put in node_modules. Other
+  // managers' dlx always downloads, so ask it for the same version.
+  const spec = tool.viaNpx || pm !== "npm" ? packageSpec(tool, pins) : tool.pkg;
+  return tool.args.map((args) => execCommand(pm, spec, args, projectRoot));
+}
+
+function detectTools(manifest, projectRoot) {
+  return manifest
+    ? TOOLS.filter((tool) => tool.id in manifest.tools)
+    : TOOLS.filter((tool) => isInstalled(tool.marker, projectRoot));
+}
 
-function isInstalled(marker, projectRoot) {
-  if (Array.isArray(marker)) {
-    return marker.some((m) => existsSync(join(projectRoot, m)));
+// `viaNpx` tools leave nothing in node_modules to read a version from. Look
+// up the version they are to run at (the latest, for unpinned tools or with
+// --to-latest) so that exactly that one runs and is recorded.
+async function npxVersions(flags, projectRoot) {
+  const manifest = readManifest(projectRoot);
+  const pins = resolvePins(flags, TOOLS, manifest);
+  const toLatest = flags.includes("--to-latest");
+  const tools = detectTools(manifest, projectRoot).filter((t) => t.viaNpx && (toLatest || !(t.id in pins)));
+  const latest = await resolveVersions(tools, flags);
+  const unresolved = tools.filter((t) => !(t.id in latest));
+  if (unresolved.length > 0) {
+    console.log(`  ⚠ Could not look up the latest version of ${unresolved.map((t) => t.pkg).join(", ")}. Running the latest without recording its version.\n`);
   }
-  return existsSync(join(projectRoot, marker));
+  return latest;
+}
+
+function runAction(fields, argv) {
+  return { kind: "run", ...fields, cmd: formatCommand(argv), argv };
 }
 
-export function update(flags = []) {
-  const projectRoot = process.cwd();
+/**
+ * Reads the manifest (or, for projects that predate it, runs marker
+ * detection) and works out the package install line, sub-tool
+ * updates and command-file copies, without running or writing anything.
+ * Pinned tools are installed at their pin unless `--to-latest` is given.
+ * `viaNpx` tools run at their `latest` version when there is one.
+ */
+export function planUpdate(flags = [], projectRoot = process.cwd(), latest = {}) {
+  const manifest = readManifest(projectRoot);
+  const pins = resolvePins(flags, TOOLS, manifest);
+  const ai = resolveAgent(flags, manifest);
+  const pm = detectPackageManager(flags, projectRoot);
+  const source = manifest ? "manifest" : "markers";
+  const detected = detectTools(manifest, projectRoot);
+  if (detected.length === 0) return { detected, source, pins, ai, pm, plan: [] };
+
+  const installPins = flags.includes("--to-latest") ? latest : { ...latest, ...pins };
+  const pkgs = detected.filter((t) => t.pkg && !t.viaNpx).map((t) => packageSpec(t, installPins));
+  const plan = [
+    ...(pkgs.length > 0 ? [runAction({ phase: "packages", name: `${pm} packages` }, [installCommand(pm, pkgs, { exact: flags.includes("--exact") }, projectRoot)])] : []),
+    ...detected.map((tool) =>
+      runAction({ phase: "tools", id: tool.id, name: tool.name }, toolCommand(tool, installPins, ai, pm, projectRoot))
+    ),
+  ];
+
+  plan.push(...planCommands(projectRoot, ai));
+
+  return { detected, source, pins, ai, pm, plan };
+}
+
+/**
+ * Updates the tools of one project and returns the outcome, without printing
+ * the summary or the JSON report: update() prints them for a single project,
+ * `update --workspaces` and `fleet` once for all projects. With a `prefix`,
+ * steps run without terminal input and their output lines are tagged, for
+ * projects updated side by side. `preflight: false` skips the pre-flight
+ * checks, for callers that ran them already.
+ * @param {string[]} flags - CLI flags
+ * @param {string} projectRoot - Project root directory
+ * @param {{ prefix?: string, preflight?: boolean }} [options] - Output tag and pre-flight
+ * @returns {Promise<{ detected: object[], results: object[], report: object }>}
+ */
+export async function runUpdate(flags = [], projectRoot = process.cwd(), { prefix = null, preflight: checks = true } = {}) {
+  useMachineOutput(flags);
+  conflictStrategy(flags);
+  const retry = parseRetryOptions(flags, TOOLS.map((t) => t.id));
 
   console.log(`\n  tcsetup update v${version}\n`);
 
   // ── Detect installed tools ────────────────────────────
-  console.log("  Detecting installed tools...\n");
+  const latest = await npxVersions(flags, projectRoot);
+  const { detected, source, pins, ai, pm, plan } = planUpdate(flags, projectRoot, latest);
+  emit("detect", { source, tools: detected.map((t) => t.id) });
 
-  const detected = TOOLS.filter((tool) => isInstalled(tool.marker, projectRoot));
+  console.log(
+    source === "manifest"
+      ? `  Reading installed tools from ${MANIFEST_FILE}...\n`
+      : "  Detecting installed tools...\n"
+  );
 
   if (detected.length === 0) {
     console.log("  No TC tools detected. Run `npx tcsetup` to onboard first.\n");
-    return;
+    return { detected, results: [], report: runReport("update", [], { ai, tools: [] }) };
   }
 
   for (const tool of detected) {
@@ -86,55 +219,107 @@ export function update(flags = []) {
   }
   console.log();
 
-  // ── Update npm packages ───────────────────────────────
-  const pkgs = detected.map((t) => `${t.pkg}@latest`).join(" ");
-  console.log(`  [1/3] Updating npm packages...`);
-  console.log(`  > npm install ${pkgs}\n`);
+  if (flags.includes("--dry-run")) {
+    printPlan(plan);
+    return { detected, results: [], report: { command: "update", dryRun: true, plan } };
+  }
 
-  try {
-    execSync(`npm install ${pkgs}`, { stdio: "inherit" });
-    console.log();
-  } catch (err) {
-    console.error(`\n  ⚠ npm install failed (exit code ${err.status}).`);
-    console.error(`  Continuing with sub-tool updates...\n`);
+  if (checks) preflight(plan.filter((a) => a.kind === "run"), flags, projectRoot);
+
+  const backup = flags.includes("--no-backup") ? null : startBackup(projectRoot, "update", TOOLS.flatMap((t) => t.marker));
+  const runLog = startRunLog(projectRoot, "update");
+
+  const failFast = flags.includes("--fail-fast");
+  const results = [];
+  const stopped = () => wasInterrupted() || (failFast && hasFailures(results));
+
+  // ── Move TC packages out of dependencies ──────────────
+  const moved = await migrateDependencies(projectRoot, flags, TOOLS.filter((t) => t.pkg).map((t) => t.pkg), { interactive: !prefix });
+  if (backup && moved.length > 0) trackChanges(backup, "Move to devDependencies");
+
+  // ── Update packages ───────────────────────────────────
+  const npmInstall = plan.find((a) => a.phase === "packages");
+  if (npmInstall) {
+    console.log(`  [1/3] Updating ${pm} packages...`);
+    console.log(`  > ${npmInstall.cmd}\n`);
+
+    const installResult = await runStep(npmInstall, stepLog(runLog, npmInstall), stepPolicy(retry), { cwd: projectRoot, prefix });
+    results.push(installResult);
+    if (backup) trackChanges(backup, npmInstall.name);
+    if (installResult.status === "succeeded") {
+      console.log();
+    } else if (installResult.status === "failed") {
+      console.error(`\n  ⚠ ${PACKAGE_MANAGERS[pm].install.join(" ")} failed (${failureReason(installResult)}). Log: ${installResult.log}`);
+      console.error(failFast ? `  Stopping (--fail-fast).\n` : `  Continuing with sub-tool updates...\n`);
+    }
+  } else {
+    console.log(`  [1/3] No ${pm} packages to update.\n`);
   }
 
   // ── Call sub-tool updates ─────────────────────────────
-  console.log(`  [2/3] Running sub-tool updates...\n`);
+  if (!stopped()) console.log(`  [2/3] Running sub-tool updates...\n`);
 
-  for (const tool of detected) {
-    console.log(`  > ${tool.cmd}`);
-    try {
-      execSync(tool.cmd, { stdio: "inherit" });
+  for (const action of plan.filter((a) => a.phase === "tools")) {
+    if (stopped()) {
+      results.push(skipStep(action, wasInterrupted() ? "interrupted" : "--fail-fast"));
+      continue;
+    }
+
+    console.log(`  > ${action.cmd}`);
+    const tool = detected.find((t) => t.id === action.id);
+    const result = await runStep(action, stepLog(runLog, action), stepPolicy(retry, tool), { cwd: projectRoot, prefix, interactive: tool.interactive });
+    results.push(result);
+    if (backup) trackChanges(backup, action.name);
+    if (result.status === "succeeded") {
       console.log();
-    } catch (err) {
-      console.error(`\n  ⚠ ${tool.name} update failed (exit code ${err.status}).`);
-      console.error(`  Continuing with remaining tools...\n`);
+    } else if (result.status === "failed") {
+      console.error(`\n  ⚠ ${action.name} update failed (${failureReason(result)}). Log: ${result.log}`);
+      console.error(failFast ? `  Stopping (--fail-fast).\n` : `  Continuing with remaining tools...\n`);
     }
   }
 
   // ── Refresh tcsetup commands ──────────────────────────
-  console.log(`  [3/3] Refreshing tcsetup commands...\n`);
-
-  const commandsSource = join(__dirname, "..", "commands");
-  const commandsDest = join(projectRoot, ".claude", "commands");
+  let commands;
+  if (!stopped()) {
+    console.log(`  [3/3] Refreshing tcsetup commands...\n`);
 
-  mkdirSync(commandsDest, { recursive: true });
+    commands = await installCommands(projectRoot, plan.filter((a) => a.phase === "commands"), flags, "    ");
+    console.log();
+  }
 
-  for (const file of COMMAND_FILES) {
-    const src = join(commandsSource, file);
-    const dest = join(commandsDest, file);
-    if (existsSync(src)) {
-      copyFileSync(src, dest);
-      console.log(`    update .claude/commands/${file}`);
+  // ── Record the manifest ───────────────────────────────
+  if (flags.includes("--to-latest")) {
+    // Move every pin forward to the version that was just installed.
+    for (const tool of detected) {
+      const installed = installedVersion(tool.pkg, projectRoot) ?? latest[tool.id];
+      if (tool.id in pins && installed) pins[tool.id] = installed;
     }
   }
-  console.log();
+  recordTools(projectRoot, detected.map((tool) => ({ ...tool, version: latest[tool.id] })), { pins, ai, ...(commands && { commands }) });
+
+  const snapshot = backup && finishBackup(backup);
+  reportBackup(snapshot);
+  finishRunLog(runLog, results);
+  console.log(`  [logs] Step output saved to ${LOG_DIR}/${runLog.id}/\n`);
+
+  const report = runReport("update", results, { ai, tools: detected.map((t) => t.id), backup: snapshot?.id ?? null });
+  return { detected, results, report };
+}
+
+export async function update(flags = [], projectRoot = process.cwd()) {
+  const { detected, results, report } = await runUpdate(flags, projectRoot);
 
   // ── Summary ───────────────────────────────────────────
-  console.log(`  Done! Updated ${detected.length} tool${detected.length === 1 ? "" : "s"}:`);
-  for (const tool of detected) {
-    console.log(`    - ${tool.name}`);
+  if (results.length > 0) {
+    printSummary(results);
+    if (!hasFailures(results)) {
+      console.log(`  Done! Updated ${detected.length} tool${detected.length === 1 ? "" : "s"}:`);
+      for (const tool of detected) {
+        console.log(`    - ${tool.name}`);
+      }
+      console.log();
+    }
   }
-  console.log();
+  printReport(report);
+  return results;
 }
@@ -0,0 +1,148 @@
+import { existsSync, readFileSync, readdirSync, statSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join, posix } from "node:path";
+import { runUpdate, planUpdate } from "./updater.js";
+import { preflight } from "./preflight.js";
+import { detectPackageManager } from "./pm.js";
+import { getOption } from "./flags.js";
+import { wasInterrupted } from "./runner.js";
+import { printSummary, hasFailures } from "./summary.js";
+import { useMachineOutput, printReport } from "./output.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const { version } = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
+
+// Workspace globs of npm and Yarn: `workspaces: [...]` or `workspaces: { packages: [...] }`.
+function packageJsonPatterns(root) {
+  try {
+    const { workspaces } = JSON.parse(readFileSync(join(root, "package.json"), "utf8"));
+    return (Array.isArray(workspaces) ? workspaces : workspaces?.packages) ?? [];
+  } catch {
+    return [];
+  }
+}
+
+// Workspace globs of pnpm: the `packages:` list of pnpm-workspace.yaml.
+function pnpmPatterns(root) {
+  const path = join(root, "pnpm-workspace.yaml");
+  if (!existsSync(path)) return [];
+  const patterns = [];
+  let inPackages = false;
+  for (const line of readFileSync(path, "utf8").split("\n")) {
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true;
+    } else if (inPackages && /^\s+-\s+/.test(line)) {
+      patterns.push(line.replace(/^\s+-\s+/, "").replace(/\s+#.*$/, "").replace(/^(["'])(.*)\1$/, "$2").trim());
+    } else if (inPackages && /^\S/.test(line)) {
+      inPackages = false;
+    }
+  }
+  return patterns;
+}
+
+function subdirs(root, dir) {
+  return readdirSync(join(root, dir), { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && entry.name !== "node_modules" && !entry.name.startsWith("."))
+    .map((entry) => posix.join(dir, entry.name));
+}
+
+function descendants(root, dir) {
+  return subdirs(root, dir).flatMap((sub) => [sub, ...descendants(root, sub)]);
+}
+
+/**
+ * Expands a glob (`*` within a path segment, `**` for any depth) to the
+ * directories it matches. node_modules and dot directories are not searched.
+ * @param {string} root - Directory the pattern is relative to
+ * @param {string} pattern - Glob, e.g. "packages/*"
+ * @returns {string[]} Matching paths relative to the root
+ */
+export function expandGlob(root, pattern) {
+  let dirs = [""];
+  for (const segment of pattern.replace(/^\.\//, "").split("/").filter(Boolean)) {
+    if (segment === "**") {
+      dirs = dirs.flatMap((dir) => [dir, ...descendants(root, dir)]);
+    } else if (segment.includes("*")) {
+      const regex = new RegExp(`^${segment.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]*")}$`);
+      dirs = dirs.flatMap((dir) => subdirs(root, dir).filter((sub) => regex.test(posix.basename(sub))));
+    } else {
+      dirs = dirs.map((dir) => posix.join(dir, segment)).filter((dir) => existsSync(join(root, dir)) && statSync(join(root, dir)).isDirectory());
+    }
+  }
+  return dirs;
+}
+
+/**
+ * Lists the workspaces of a monorepo, from the `workspaces` field of
+ * package.json (npm, Yarn) or pnpm-workspace.yaml. Only directories with a
+ * package.json count; `!` patterns exclude directories.
+ * @param {string} root - Monorepo root
+ * @returns {string[]} Workspace paths relative to the root, sorted
+ */
+export function findWorkspaces(root) {
+  const patterns = [...packageJsonPatterns(root), ...pnpmPatterns(root)];
+  const excluded = new Set(patterns.filter((p) => p.startsWith("!")).flatMap((p) => expandGlob(root, p.slice(1))));
+  const found = new Set(
+    patterns
+      .filter((p) => !p.startsWith("!"))
+      .flatMap((p) => expandGlob(root, p))
+      .filter((dir) => dir && !excluded.has(dir) && existsSync(join(root, dir, "package.json")))
+  );
+  return [...found].sort();
+}
+
+/**
+ * `update --workspaces`: updates the monorepo root and every workspace that
+ * has TC tools, each with its own marker detection, then prints one summary
+ * for all of them.
+ * @param {string[]} flags - CLI flags
+ * @param {string} root - Monorepo root
+ * @returns {Promise<object[]>} Step results, named after their workspace
+ */
+export async function updateWorkspaces(flags = [], root = process.cwd()) {
+  useMachineOutput(flags);
+  console.log(`\n  tcsetup update --workspaces v${version}\n`);
+
+  const workspaces = findWorkspaces(root);
+  if (workspaces.length === 0) {
+    throw new Error("No workspaces found. List them in the `workspaces` field of package.json or in pnpm-workspace.yaml.");
+  }
+
+  // Workspaces share the root's lockfile, so they share its package manager.
+  const childFlags = flags.filter((f) => f !== "--workspaces");
+  if (getOption(flags, "--pm") === undefined) childFlags.push("--pm", detectPackageManager(flags, root));
+
+  const targets = [];
+  const actions = [];
+  console.log("  Workspaces:\n");
+  for (const dir of [".", ...workspaces]) {
+    const { detected, plan } = planUpdate(childFlags, join(root, dir));
+    if (detected.length > 0) targets.push(dir);
+    actions.push(...plan.filter((a) => a.kind === "run"));
+    console.log(detected.length > 0 ? `    ✓ ${dir} (${detected.map((t) => t.name).join(", ")})` : `    - ${dir} (no TC tools)`);
+  }
+  console.log();
+
+  // One check for the whole monorepo: once the root is updated, its tree is
+  // no longer clean for the workspaces that follow.
+  if (targets.length > 0 && !flags.includes("--dry-run")) preflight(actions, flags, root);
+
+  const results = [];
+  const reports = [];
+  for (const dir of targets) {
+    if (wasInterrupted()) break;
+    console.log(`  ── ${dir} ${"─".repeat(Math.max(0, 46 - dir.length))}`);
+    const { results: own, report } = await runUpdate(childFlags, join(root, dir), { preflight: false });
+    results.push(...own.map((r) => ({ ...r, name: `${dir}: ${r.name}` })));
+    reports.push({ workspace: dir, ...report });
+  }
+
+  if (results.length > 0) printSummary(results);
+  if (targets.length === 0) {
+    console.log("  No TC tools detected in any workspace. Run `npx tcsetup --cwd <workspace>` to onboard one.\n");
+  } else if (!hasFailures(results) && !flags.includes("--dry-run")) {
+    console.log(`  Done! Updated ${targets.length} workspace${targets.length === 1 ? "" : "s"}.\n`);
+  }
+  printReport({ command: "update", ok: !hasFailures(results), workspaces: reports });
+  return results;
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests for AI assistant selection
+ * --ai picks the Spec Kit agent and where command files go, and is remembered
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { rmSync } from 'node:fs';
+import { resolveAgent, agentFileName, toAgentFormat } from '../src/agents.js';
+import { planInstall } from '../src/installer.js';
+import { planUpdate } from '../src/updater.js';
+import { recordTools } from '../src/manifest.js';
+import { makeProject } from './helpers.js';
+
+// ============================================================================
+// Tests for resolveAgent and file formats
+// ============================================================================
+
+test('resolveAgent - prefers --ai, then the manifest, then claude', () => {
+  assert.strictEqual(resolveAgent([], null), 'claude');
+  assert.strictEqual(resolveAgent([], { ai: 'gemini' }), 'gemini');
+  assert.strictEqual(resolveAgent(['--ai', 'cursor'], { ai: 'gemini' }), 'cursor');
+  assert.throws(() => resolveAgent(['--ai=nope'], null), /Unknown AI assistant "nope"/);
+});
+
+test('agentFileName - renames command files for the agent', () => {
+  assert.strictEqual(agentFileName('tcsetup.onboard.md', 'claude'), 'tcsetup.onboard.md');
+  assert.strictEqual(agentFileName('tcsetup.onboard.md', 'qwen'), 'tcsetup.onboard.toml');
+  assert.strictEqual(agentFileName('tcsetup.onboard.md', 'copilot'), 'tcsetup.onboard.prompt.md');
+});
+
+test('toAgentFormat - wraps Markdown in a TOML command for TOML agents', () => {
+  const md = '# Onboard "stuff"\n\nUse C:\\tools\n';
+  assert.strictEqual(toAgentFormat(md, 'cursor'), md);
+  assert.strictEqual(
+    toAgentFormat(md, 'gemini'),
+    'description = "Onboard \\"stuff\\""\n\nprompt = """\n# Onboard "stuff"\n\nUse C:\\\\tools\n"""\n'
+  );
+});
+
+// ============================================================================
+// Tests for planning with --ai
+// ============================================================================
+
+test('planInstall - passes --ai to Spec Kit and targets the agent directory', () => {
+  const root = makeProject('agents');
+  try {
+    const plan = planInstall(['--ai', 'gemini'], root);
+
+    assert.strictEqual(plan.find((a) => a.id === 'speckit').cmd, 'specify init --here --ai gemini');
+    assert.strictEqual(plan.find((a) => a.kind === 'copy').label, '.gemini/commands/tcsetup.onboard.toml');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('planUpdate - reuses the agent recorded in the manifest', () => {
+  const root = makeProject('agents');
+  try {
+    recordTools(root, [{ id: 'adr', name: 'ADR System', pkg: 'adr-system' }], { ai: 'cursor' });
+
+    const { ai, plan } = planUpdate([], root);
+    assert.strictEqual(ai, 'cursor');
+    assert.strictEqual(plan.find((a) => a.kind === 'copy').label, '.cursor/commands/tcsetup.onboard.md');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for per-run backups and rollback
+ * Snapshots must record exactly the files a run changed and restore them
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { existsSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { startBackup, trackChanges, finishBackup, listBackups, pruneBackups, restoreBackup, BACKUP_DIR } from '../src/backup.js';
+import { makeProject, writeFile } from './helpers.js';
+
+// ============================================================================
+// Tests for snapshots
+// ============================================================================
+
+test('trackChanges - records changed, created and deleted files per step', () => {
+  const root = makeProject('backup');
+  try {
+    writeFile(root, 'CLAUDE.md', 'original');
+    writeFile(root, 'keep.txt', 'untouched');
+    writeFile(root, 'old.txt', 'to be deleted');
+    writeFile(root, 'node_modules/pkg/index.js', 'ignored');
+
+    const backup = startBackup(root, 'init', ['.adr']);
+    writeFile(root, 'CLAUDE.md', 'rewritten by a step');
+    writeFile(root, '.adr/config.yaml', 'new');
+    writeFile(root, 'node_modules/pkg/index.js', 'still ignored');
+    assert.strictEqual(trackChanges(backup, 'ADR System'), 2);
+
+    rmSync(join(root, 'old.txt'));
+    const snapshot = finishBackup(backup);
+
+    assert.strictEqual(snapshot.label, 'init');
+    assert.deepEqual(
+      snapshot.changes.map((c) => [c.path, c.step, c.before === null]).sort(),
+      [
+        ['.adr/config.yaml', 'ADR System', true],
+        ['CLAUDE.md', 'ADR System', false],
+        ['old.txt', 'tcsetup', false],
+      ]
+    );
+    assert.deepEqual(listBackups(root).map((b) => b.id), [snapshot.id]);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('startBackup - copies only the files tcsetup and its tools can touch', () => {
+  const root = makeProject('backup');
+  try {
+    writeFile(root, 'package.json', '{}');
+    writeFile(root, '_bmad/core/config.yaml', 'bmad');
+    writeFile(root, '.claude/commands/mine.md', 'mine');
+    writeFile(root, 'src/index.js', 'source');
+    writeFile(root, 'dist/bundle.js', 'build output');
+
+    const backup = startBackup(root, 'update', ['_bmad', '.bmad', '_bmad/modules/mermaid-workbench']);
+    assert.deepEqual([...backup.index.keys()].sort(), ['.claude/commands/mine.md', '_bmad/core/config.yaml', 'package.json']);
+
+    writeFile(root, 'dist/bundle.js', 'rebuilt');
+    assert.strictEqual(trackChanges(backup, 'BMAD Method'), 0);
+    finishBackup(backup);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('finishBackup - drops snapshots of runs that changed nothing', () => {
+  const root = makeProject('backup');
+  try {
+    writeFile(root, 'README.md', 'hello');
+
+    const backup = startBackup(root, 'update');
+    assert.strictEqual(finishBackup(backup), null);
+    assert.deepEqual(listBackups(root), []);
+    assert.strictEqual(readFileSync(join(root, '.tcsetup', '.gitignore'), 'utf8'), '*\n');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for restoreBackup and pruneBackups
+// ============================================================================
+
+test('restoreBackup - puts back changed and deleted files and removes created ones', () => {
+  const root = makeProject('backup');
+  try {
+    writeFile(root, 'CLAUDE.md', 'original');
+    writeFile(root, 'old.txt', 'to be deleted');
+
+    const backup = startBackup(root, 'init', ['.adr']);
+    writeFile(root, 'CLAUDE.md', 'rewritten by a step');
+    writeFile(root, '.adr/config.yaml', 'new');
+    rmSync(join(root, 'old.txt'));
+    const { id } = finishBackup(backup);
+
+    const { restored, removed } = restoreBackup(root, id);
+    assert.deepEqual(restored.sort(), ['CLAUDE.md', 'old.txt']);
+    assert.deepEqual(removed, ['.adr/config.yaml']);
+    assert.strictEqual(readFileSync(join(root, 'CLAUDE.md'), 'utf8'), 'original');
+    assert.strictEqual(readFileSync(join(root, 'old.txt'), 'utf8'), 'to be deleted');
+    assert(!existsSync(join(root, '.adr', 'config.yaml')));
+
+    assert.throws(() => restoreBackup(root, 'nope'), /No backup "nope"/);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('pruneBackups - keeps only the most recent snapshots', () => {
+  const root = makeProject('backup');
+  try {
+    for (const id of ['2026-01-01', '2026-01-02', '2026-01-03']) {
+      writeFile(root, join(BACKUP_DIR, id, 'snapshot.json'), JSON.stringify({ id, label: 'update', changes: [] }));
+    }
+
+    pruneBackups(root, 2);
+    assert.deepEqual(listBackups(root).map((b) => b.id), ['2026-01-03', '2026-01-02']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
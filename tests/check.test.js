@@ -0,0 +1,137 @@
+/**
+ * Tests for `update --check`
+ * Uses a local HTTP server as a stand-in for the npm registry
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { createServer } from 'node:http';
+import { mkdirSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseVersion, compareVersions, bumpType } from '../src/semver.js';
+import { registryUrl, fetchLatestVersion } from '../src/registry.js';
+import { checkUpdates, check } from '../src/check.js';
+import { makeProject } from './helpers.js';
+
+const PACKAGES = {
+  'adr-system': '3.0.0',
+  '@tcanaud/qa-system': '1.4.2',
+  'agreement-system': '1.0.0',
+  'bmad-method': '6.0.0',
+};
+
+// Serves `{ "dist-tags": { latest } }` for known packages, 404 otherwise.
+async function startRegistry() {
+  const server = createServer((req, res) => {
+    const name = decodeURIComponent(req.url.slice(1));
+    if (!(name in PACKAGES)) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ name, 'dist-tags': { latest: PACKAGES[name] } }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+// A project with the given packages installed in node_modules.
+function installedProject(installed) {
+  const files = Object.entries(installed).map(([pkg, version]) => [`node_modules/${pkg}/package.json`, JSON.stringify({ version })]);
+  return makeProject('check', Object.fromEntries(files));
+}
+
+// ============================================================================
+// Tests for semver helpers
+// ============================================================================
+
+test('parseVersion - parses releases and prereleases', () => {
+  assert.deepEqual(parseVersion('v1.2.3-beta.1'), { major: 1, minor: 2, patch: 3, prerelease: 'beta.1' });
+  assert.strictEqual(parseVersion('latest'), null);
+});
+
+test('compareVersions - orders numerically with prereleases first', () => {
+  assert(compareVersions('1.10.0', '1.9.0') > 0);
+  assert(compareVersions('2.0.0-rc.1', '2.0.0') < 0);
+  assert.strictEqual(compareVersions('1.2.3', '1.2.3'), 0);
+});
+
+test('bumpType - names the bump between two versions', () => {
+  assert.strictEqual(bumpType('1.2.3', '2.0.0'), 'major');
+  assert.strictEqual(bumpType('1.2.3', '1.3.0'), 'minor');
+  assert.strictEqual(bumpType('1.2.3', '1.2.4'), 'patch');
+  assert.strictEqual(bumpType('1.2.3-rc.1', '1.2.3'), 'prerelease');
+  assert.strictEqual(bumpType('1.2.3', '1.2.3'), null);
+  assert.strictEqual(bumpType('1.3.0', '1.2.3'), null);
+});
+
+// ============================================================================
+// Tests for the registry client
+// ============================================================================
+
+test('registryUrl - prefers --registry and adds a trailing slash', () => {
+  assert.strictEqual(registryUrl(['--registry', 'http://localhost:4873']), 'http://localhost:4873/');
+});
+
+test('fetchLatestVersion - reads the latest dist-tag, scoped packages included', async () => {
+  const { server, url } = await startRegistry();
+  try {
+    assert.strictEqual(await fetchLatestVersion('@tcanaud/qa-system', `${url}/`), '1.4.2');
+    await assert.rejects(fetchLatestVersion('missing', `${url}/`), /404/);
+  } finally {
+    server.close();
+  }
+});
+
+// ============================================================================
+// Tests for checkUpdates
+// ============================================================================
+
+test('checkUpdates - reports current, latest and bump per detected tool', async () => {
+  const { server, url } = await startRegistry();
+  const root = installedProject({ 'adr-system': '2.3.1', '@tcanaud/qa-system': '1.4.2' });
+  try {
+    mkdirSync(join(root, '.adr'));
+    mkdirSync(join(root, '.qa'));
+    const report = await checkUpdates(['--registry', url], root);
+    assert.deepEqual(
+      report.map((r) => [r.name, r.current, r.latest, r.bump]),
+      [
+        ['ADR System', '2.3.1', '3.0.0', 'major'],
+        ['QA System', '1.4.2', '1.4.2', null],
+      ]
+    );
+  } finally {
+    server.close();
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('checkUpdates - records registry errors per tool', async () => {
+  const { server, url } = await startRegistry();
+  const root = installedProject({});
+  try {
+    mkdirSync(join(root, '.product'));
+    const [entry] = await checkUpdates(['--registry', url], root);
+    assert.strictEqual(entry.current, null);
+    assert.match(entry.error, /@tcanaud\/product-manager: registry responded 404/);
+  } finally {
+    server.close();
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('check - does not count tools without a known version as updates', async () => {
+  const { server, url } = await startRegistry();
+  const root = installedProject({ 'adr-system': '3.0.0' });
+  try {
+    mkdirSync(join(root, '.adr'));
+    mkdirSync(join(root, '_bmad'));
+    const report = await checkUpdates(['--registry', url], root);
+    assert.strictEqual(report.find((r) => r.pkg === 'bmad-method').bump, 'unknown');
+    assert.strictEqual(await check(['--registry', url], root), 0);
+  } finally {
+    server.close();
+    rmSync(root, { recursive: true, force: true });
+  }
+});
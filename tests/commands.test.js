@@ -0,0 +1,251 @@
+/**
+ * Tests for command-file installs
+ * Untouched files are replaced; edited files follow --on-conflict
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { spawnSync } from 'node:child_process';
+import { existsSync, mkdirSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  planCommands,
+  shippedCommands,
+  installCommands,
+  mergeManaged,
+  diffLines,
+  hashContent,
+  conflictStrategy,
+  COMMANDS_SOURCE,
+} from '../src/commands.js';
+import { writeManifest } from '../src/manifest.js';
+import { makeProject, writeFile } from './helpers.js';
+
+function copyAction(root, file) {
+  return { src: join(root, 'shipped', file), dest: join(root, '.claude', 'commands', file), label: `.claude/commands/${file}` };
+}
+
+const V1 = '<!-- tcsetup:begin demo -->\nversion 1\n<!-- tcsetup:end demo -->\n';
+const V2 = '<!-- tcsetup:begin demo -->\nversion 2\n<!-- tcsetup:end demo -->\n';
+
+// ============================================================================
+// Tests for planCommands
+// ============================================================================
+
+test('shippedCommands - lists every file in the commands directory', () => {
+  const root = makeProject('commands');
+  try {
+    writeFile(root, 'shipped/b.md', '');
+    writeFile(root, 'shipped/a.md', '');
+    mkdirSync(join(root, 'shipped', 'nested'));
+
+    assert.deepEqual(shippedCommands(join(root, 'shipped')), ['a.md', 'b.md']);
+    assert.deepEqual(shippedCommands(join(root, 'missing')), []);
+    assert(shippedCommands().includes('tcsetup.onboard.md'));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('planCommands - copies shipped files and deletes files no longer shipped', () => {
+  const root = makeProject('commands');
+  try {
+    writeFile(root, 'shipped/demo.md', V1);
+    writeManifest(root, {
+      pins: {},
+      tools: {},
+      commands: { '.claude/commands/demo.md': hashContent(V1), '.claude/commands/old.md': hashContent('old') },
+    });
+
+    const plan = planCommands(root, 'claude', join(root, 'shipped'));
+    assert.deepEqual(
+      plan.map((a) => [a.kind, a.label]),
+      [
+        ['copy', '.claude/commands/demo.md'],
+        ['delete', '.claude/commands/old.md'],
+      ]
+    );
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for installCommands
+// ============================================================================
+
+test('installCommands - removes files no longer shipped unless edited', async () => {
+  const root = makeProject('commands');
+  try {
+    writeFile(root, '.claude/commands/old.md', 'old');
+    writeFile(root, '.claude/commands/edited.md', 'edited by hand');
+    writeManifest(root, {
+      pins: {},
+      tools: {},
+      commands: { '.claude/commands/old.md': hashContent('old'), '.claude/commands/edited.md': hashContent('original') },
+    });
+
+    const hashes = await installCommands(root, planCommands(root, 'claude', join(root, 'shipped')), []);
+    assert(!existsSync(join(root, '.claude', 'commands', 'old.md')));
+    assert(existsSync(join(root, '.claude', 'commands', 'edited.md')));
+    assert.deepEqual(hashes, {});
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installCommands - installs new files and replaces untouched ones', async () => {
+  const root = makeProject('commands');
+  try {
+    writeFile(root, 'shipped/demo.md', V2);
+    writeFile(root, '.claude/commands/demo.md', V1);
+    writeManifest(root, { pins: {}, tools: {}, commands: { '.claude/commands/demo.md': hashContent(V1) } });
+
+    const hashes = await installCommands(root, [copyAction(root, 'demo.md')], []);
+    assert.strictEqual(readFileSync(join(root, '.claude', 'commands', 'demo.md'), 'utf8'), V2);
+    assert.deepEqual(hashes, { '.claude/commands/demo.md': hashContent(V2) });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installCommands - writes .new next to edited files by default', async () => {
+  const root = makeProject('commands');
+  try {
+    const edited = V1 + 'my notes\n';
+    writeFile(root, 'shipped/demo.md', V2);
+    writeFile(root, '.claude/commands/demo.md', edited);
+    writeManifest(root, { pins: {}, tools: {}, commands: { '.claude/commands/demo.md': hashContent(V1) } });
+
+    const hashes = await installCommands(root, [copyAction(root, 'demo.md')], []);
+    assert.strictEqual(readFileSync(join(root, '.claude', 'commands', 'demo.md'), 'utf8'), edited);
+    assert.strictEqual(readFileSync(join(root, '.claude', 'commands', 'demo.md.new'), 'utf8'), V2);
+    assert.deepEqual(hashes, { '.claude/commands/demo.md': hashContent(V1) });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installCommands - leaves edited files alone when nothing new ships', async () => {
+  const root = makeProject('commands');
+  try {
+    writeFile(root, 'shipped/demo.md', V1);
+    writeFile(root, '.claude/commands/demo.md', V1 + 'my notes\n');
+    writeManifest(root, { pins: {}, tools: {}, commands: { '.claude/commands/demo.md': hashContent(V1) } });
+
+    await installCommands(root, [copyAction(root, 'demo.md')], []);
+    assert.strictEqual(readFileSync(join(root, '.claude', 'commands', 'demo.md'), 'utf8'), V1 + 'my notes\n');
+    assert(!existsSync(join(root, '.claude', 'commands', 'demo.md.new')));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installCommands - treats files without a recorded hash as edited', async () => {
+  const root = makeProject('commands');
+  try {
+    writeFile(root, 'shipped/demo.md', V2);
+    writeFile(root, '.claude/commands/demo.md', 'hand-written');
+
+    await installCommands(root, [copyAction(root, 'demo.md')], []);
+    assert.strictEqual(readFileSync(join(root, '.claude', 'commands', 'demo.md'), 'utf8'), 'hand-written');
+    assert(existsSync(join(root, '.claude', 'commands', 'demo.md.new')));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installCommands - replaces a released version that has no recorded hash', async () => {
+  const root = makeProject('commands');
+  try {
+    // A project onboarded by tcsetup 1.8.0, before hashes were recorded.
+    const released = readFileSync(new URL('./fixtures/tcsetup.onboard-1.8.0.md', import.meta.url), 'utf8');
+    writeFile(root, '.claude/commands/tcsetup.onboard.md', released);
+
+    const shipped = readFileSync(join(COMMANDS_SOURCE, 'tcsetup.onboard.md'), 'utf8');
+    const hashes = await installCommands(root, planCommands(root), []);
+    assert.strictEqual(readFileSync(join(root, '.claude', 'commands', 'tcsetup.onboard.md'), 'utf8'), shipped);
+    assert(!existsSync(join(root, '.claude', 'commands', 'tcsetup.onboard.md.new')));
+    assert.strictEqual(hashes['.claude/commands/tcsetup.onboard.md'], hashContent(shipped));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installCommands - merges managed sections with --on-conflict=merge', async () => {
+  const root = makeProject('commands');
+  try {
+    writeFile(root, 'shipped/demo.md', V2);
+    writeFile(root, '.claude/commands/demo.md', 'intro\n' + V1 + 'my notes\n');
+
+    await installCommands(root, [copyAction(root, 'demo.md')], ['--on-conflict=merge']);
+    assert.strictEqual(readFileSync(join(root, '.claude', 'commands', 'demo.md'), 'utf8'), 'intro\n' + V2 + 'my notes\n');
+    assert(!existsSync(join(root, '.claude', 'commands', 'demo.md.new')));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installCommands - does not prompt on a terminal with --json', () => {
+  const root = makeProject('commands');
+  try {
+    writeFile(root, 'shipped/demo.md', V2);
+    writeFile(root, '.claude/commands/demo.md', 'hand-written');
+
+    // In a child process: machine output stays on for the rest of a process.
+    const script = `
+      import { useMachineOutput } from ${JSON.stringify(new URL('../src/output.js', import.meta.url).href)};
+      import { installCommands } from ${JSON.stringify(new URL('../src/commands.js', import.meta.url).href)};
+      useMachineOutput(['--json']);
+      process.stdin.isTTY = true;
+      const action = ${JSON.stringify(copyAction(root, 'demo.md'))};
+      await installCommands(${JSON.stringify(root)}, [action], ['--on-conflict=prompt']);
+    `;
+    const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8', timeout: 10000 });
+    assert.strictEqual(child.status, 0, child.stderr);
+    assert.strictEqual(child.stdout, '');
+    assert.strictEqual(readFileSync(join(root, '.claude', 'commands', 'demo.md'), 'utf8'), 'hand-written');
+    assert(existsSync(join(root, '.claude', 'commands', 'demo.md.new')));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('conflictStrategy - defaults to new and rejects unknown strategies', () => {
+  assert.strictEqual(conflictStrategy([]), 'new');
+  assert.strictEqual(conflictStrategy(['--on-conflict', 'prompt']), 'prompt');
+  assert.throws(() => conflictStrategy(['--on-conflict=keep']), /Invalid --on-conflict "keep"/);
+});
+
+// ============================================================================
+// Tests for mergeManaged and diffLines
+// ============================================================================
+
+test('mergeManaged - returns null when sections cannot be matched', () => {
+  assert.strictEqual(mergeManaged('no sentinels here', V2), null);
+  assert.strictEqual(mergeManaged(V1, 'no sentinels here'), null);
+  assert.strictEqual(mergeManaged(V1.replaceAll('demo', 'other'), V2), null);
+});
+
+test('mergeManaged - falls back when every local change is inside a managed section', () => {
+  assert.strictEqual(mergeManaged(V1.replace('version 1', 'my version'), V2), null);
+});
+
+test('mergeManaged - keeps an edit made in the shipped onboard command', () => {
+  const shipped = readFileSync(join(COMMANDS_SOURCE, 'tcsetup.onboard.md'), 'utf8');
+  const edited = shipped.replace('<!-- tcsetup:end pre-checks -->\n', '<!-- tcsetup:end pre-checks -->\nAlso check `docs/` exists.\n');
+  const next = shipped.replace('## Pre-checks', '## Pre-checks (v2)');
+
+  const merged = mergeManaged(edited, next);
+  assert.match(merged, /## Pre-checks \(v2\)/);
+  assert.match(merged, /Also check `docs\/` exists\./);
+});
+
+test('diffLines - marks removed and added lines', () => {
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nx\nc'), [
+    { op: ' ', line: 'a' },
+    { op: '-', line: 'b' },
+    { op: '+', line: 'x' },
+    { op: ' ', line: 'c' },
+  ]);
+});
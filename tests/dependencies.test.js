@@ -0,0 +1,79 @@
+/**
+ * Tests for moving TC packages from dependencies to devDependencies
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { misplacedPackages, moveToDevDependencies, migrateDependencies } from '../src/dependencies.js';
+import { makeProject } from './helpers.js';
+
+const TC = ['adr-system', '@tcanaud/qa-system', 'agreement-system'];
+
+const makePackage = (pkg) => makeProject('deps', { 'package.json': JSON.stringify(pkg, null, 4) + '\n' });
+const read = (root) => readFileSync(join(root, 'package.json'), 'utf8');
+
+test('misplacedPackages - lists TC packages in dependencies only', () => {
+  const root = makePackage({
+    dependencies: { 'adr-system': '^2.0.0', express: '^4.0.0' },
+    devDependencies: { '@tcanaud/qa-system': '^1.0.0' },
+  });
+  try {
+    assert.deepEqual(misplacedPackages(root, TC), ['adr-system']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('misplacedPackages - returns nothing without package.json', () => {
+  const root = makeProject('deps');
+  try {
+    assert.deepEqual(misplacedPackages(root, TC), []);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('moveToDevDependencies - keeps ranges, sorts and keeps the indentation', () => {
+  const root = makePackage({
+    name: 'demo',
+    dependencies: { 'adr-system': '^2.0.0', express: '^4.0.0' },
+    devDependencies: { vitest: '^1.0.0' },
+  });
+  try {
+    moveToDevDependencies(root, ['adr-system']);
+    const text = read(root);
+    assert.deepEqual(JSON.parse(text), {
+      name: 'demo',
+      dependencies: { express: '^4.0.0' },
+      devDependencies: { 'adr-system': '^2.0.0', vitest: '^1.0.0' },
+    });
+    assert(text.includes('\n    "name"') && text.endsWith('}\n'));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('moveToDevDependencies - drops an emptied dependencies field', () => {
+  const root = makePackage({ dependencies: { 'adr-system': '2.3.1' } });
+  try {
+    moveToDevDependencies(root, ['adr-system']);
+    assert.deepEqual(JSON.parse(read(root)), { devDependencies: { 'adr-system': '2.3.1' } });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('migrateDependencies - moves with --migrate-deps and only reports without it', async () => {
+  const root = makePackage({ dependencies: { 'agreement-system': '^1.0.0' } });
+  try {
+    assert.deepEqual(await migrateDependencies(root, [], TC), []);
+    assert('agreement-system' in JSON.parse(read(root)).dependencies);
+
+    assert.deepEqual(await migrateDependencies(root, ['--migrate-deps'], TC), ['agreement-system']);
+    assert.deepEqual(JSON.parse(read(root)), { devDependencies: { 'agreement-system': '^1.0.0' } });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
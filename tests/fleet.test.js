@@ -0,0 +1,99 @@
+/**
+ * Tests for updating many repositories with `fleet`
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdirSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { fleetRepos, saveTarget, fleetMatrix, markdownReport, fleet } from '../src/fleet.js';
+import { makeProject } from './helpers.js';
+
+// Creates a directory of repositories; every entry of `dirs` gets a package.json.
+function makeRepos(dirs) {
+  return makeProject('fleet', Object.fromEntries(dirs.map((dir) => [`${dir}/package.json`, '{}\n'])));
+}
+
+const REPORT = {
+  command: 'fleet',
+  ok: false,
+  generatedAt: '2026-01-01T00:00:00.000Z',
+  tools: [{ id: 'adr', name: 'ADR System' }, { id: 'qa', name: 'QA System' }],
+  repos: [
+    { repo: 'api', status: 'succeeded', detail: 'updated', tools: { adr: { version: '2.3.1', status: 'succeeded' } } },
+    {
+      repo: 'web',
+      status: 'failed',
+      detail: '1 step failed',
+      tools: { adr: { version: '2.3.1', status: 'succeeded' }, qa: { version: '1.0.0', status: 'failed' } },
+    },
+    { repo: 'docs', status: 'skipped', detail: 'no TC tools', tools: {} },
+  ],
+};
+
+test('fleetRepos - expands globs to directories with a package.json', () => {
+  const root = makeRepos(['repos/api', 'repos/web', 'site']);
+  try {
+    mkdirSync(join(root, 'repos', 'notes'));
+    assert.deepEqual(
+      fleetRepos(['repos/*', 'site', 'repos/api'], root).map((r) => r.repo),
+      ['repos/api', 'repos/web', 'site']
+    );
+    assert.equal(fleetRepos([join(root, 'repos', '*')], root)[0].path, join(root, 'repos', 'api'));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('fleetRepos - rejects missing directories and empty globs', () => {
+  const root = makeRepos([]);
+  try {
+    assert.throws(() => fleetRepos(['missing'], root), /missing is not a directory/);
+    assert.throws(() => fleetRepos(['repos/*'], root), /no repositories match repos\/\*/);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('saveTarget - accepts .json and .md files only', () => {
+  assert.equal(saveTarget([], '/work'), null);
+  assert.equal(saveTarget(['--save', 'fleet.md'], '/work'), join('/work', 'fleet.md'));
+  assert.equal(saveTarget(['--save=out/fleet.json'], '/work'), join('/work', 'out', 'fleet.json'));
+  assert.throws(() => saveTarget(['--save', 'fleet.txt'], '/work'), /Use a \.json or \.md file/);
+  assert.throws(() => saveTarget(['--save'], '/work'), /needs a file/);
+});
+
+test('fleetMatrix - shows result and version per tool, blank when missing', () => {
+  assert.deepEqual(fleetMatrix(REPORT), [
+    ['Repository', 'ADR System', 'QA System', 'Result'],
+    ['api', '✓ 2.3.1', '', '✓ updated'],
+    ['web', '✓ 2.3.1', '✗ 1.0.0', '✗ 1 step failed'],
+    ['docs', '', '', '- no TC tools'],
+  ]);
+});
+
+test('markdownReport - renders the matrix as a table', () => {
+  const md = markdownReport(REPORT);
+  assert.match(md, /^# tcsetup fleet\n/);
+  assert.match(md, /3 repositories, 1 failed\./);
+  assert.match(md, /\| Repository \| ADR System \| QA System \| Result \|\n\| --- \| --- \| --- \| --- \|\n/);
+  assert.match(md, /\| web \| ✓ 2\.3\.1 \| ✗ 1\.0\.0 \| ✗ 1 step failed \|/);
+});
+
+test('fleet - reports repositories without TC tools and saves the matrix', async () => {
+  const root = makeRepos(['repos/a', 'repos/b']);
+  try {
+    const entries = await fleet(['repos/*', '--save', 'fleet.json'], root);
+    assert.deepEqual(entries.map((e) => [e.repo, e.status, e.detail]), [
+      ['repos/a', 'skipped', 'no TC tools'],
+      ['repos/b', 'skipped', 'no TC tools'],
+    ]);
+    const saved = JSON.parse(readFileSync(join(root, 'fleet.json'), 'utf8'));
+    assert.equal(saved.command, 'fleet');
+    assert.equal(saved.ok, true);
+    assert.deepEqual(saved.tools, []);
+    assert.equal(saved.repos.length, 2);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,27 @@
+/**
+ * Helpers shared by the tests that work on a throwaway project directory.
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * Creates a temporary project directory. Tests remove it in a `finally`.
+ * @param {string} name - Tag in the directory name, e.g. "backup"
+ * @param {Record<string, string>} [files] - Files to create, by path relative to the project
+ * @returns {string} Absolute path of the project
+ */
+export function makeProject(name, files = {}) {
+  const root = mkdtempSync(join(tmpdir(), `tcsetup-${name}-`));
+  for (const [path, content] of Object.entries(files)) writeFile(root, path, content);
+  return root;
+}
+
+/**
+ * Writes a file in a project, creating its directories.
+ */
+export function writeFile(root, path, content = '') {
+  mkdirSync(join(root, path, '..'), { recursive: true });
+  writeFileSync(join(root, path), content);
+}
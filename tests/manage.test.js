@@ -0,0 +1,109 @@
+/**
+ * Tests for `add` / `remove` tool resolution and removal planning
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { createServer } from 'node:http';
+import { chmodSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+import { findStep, planRemove, add } from '../src/manage.js';
+import { readManifest, recordTools } from '../src/manifest.js';
+import { makeProject, writeFile } from './helpers.js';
+
+// ============================================================================
+// Tests for findStep
+// ============================================================================
+
+test('findStep - resolves tools by their flag slug', () => {
+  assert.strictEqual(findStep('adr').name, 'ADR System');
+  assert.strictEqual(findStep('playbook').flag, '--skip-playbook');
+});
+
+test('findStep - lists known tools for unknown or missing names', () => {
+  assert.throws(() => findStep('nope'), /Unknown tool "nope"\. Known tools: bmad, speckit/);
+  assert.throws(() => findStep(undefined), /Missing tool name/);
+});
+
+// ============================================================================
+// Tests for planRemove
+// ============================================================================
+
+test('planRemove - lists the marker, package and the tool\'s command files', () => {
+  const root = makeProject('manage');
+  try {
+    mkdirSync(join(root, '.qa'));
+    writeFile(root, 'package.json', JSON.stringify({ devDependencies: { '@tcanaud/qa-system': '1.0.0' } }));
+    writeFile(root, 'node_modules/@tcanaud/qa-system/commands/qa.plan.md');
+    writeFile(root, '.claude/commands/qa.plan.md');
+    writeFile(root, '.claude/commands/qa.run.md');
+    writeFile(root, '.claude/commands/tcsetup.onboard.md');
+
+    assert.deepEqual(planRemove(findStep('qa'), root), {
+      markers: ['.qa'],
+      pkg: '@tcanaud/qa-system',
+      commands: ['.claude/commands/qa.plan.md', '.claude/commands/qa.run.md'],
+    });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('planRemove - looks in the command directory of the recorded AI assistant', () => {
+  const root = makeProject('manage');
+  try {
+    recordTools(root, [], { ai: 'gemini' });
+    writeFile(root, 'node_modules/@tcanaud/product-manager/commands/feature.create.md');
+    writeFile(root, '.gemini/commands/feature.create.toml');
+    writeFile(root, '.gemini/commands/product.review.toml');
+    writeFile(root, '.claude/commands/product.review.md');
+
+    assert.deepEqual(planRemove(findStep('product'), root).commands, [
+      '.gemini/commands/feature.create.toml',
+      '.gemini/commands/product.review.toml',
+    ]);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('planRemove - returns nothing for a tool that is not installed', () => {
+  const root = makeProject('manage');
+  try {
+    assert.deepEqual(planRemove(findStep('adr'), root), { markers: [], pkg: null, commands: [] });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for add
+// ============================================================================
+
+test('add - runs the tool at the registry version and records it', async () => {
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ 'dist-tags': { latest: '1.4.2' } }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const root = makeProject('manage');
+  const bin = mkdtempSync(join(tmpdir(), 'tcsetup-bin-'));
+  const path = process.env.PATH;
+  try {
+    // An npx stand-in that writes down what it was asked to run.
+    writeFileSync(join(bin, 'npx'), `#!/bin/sh\necho "$@" >> "${join(root, 'npx.log')}"\n`);
+    chmodSync(join(bin, 'npx'), 0o755);
+    process.env.PATH = `${bin}${delimiter}${path}`;
+    const [result] = await add(['qa', '--registry', `http://127.0.0.1:${server.address().port}`], root);
+
+    assert.strictEqual(result.status, 'succeeded');
+    assert.strictEqual(readFileSync(join(root, 'npx.log'), 'utf8'), '@tcanaud/qa-system@1.4.2 init --yes\n');
+    assert.strictEqual(readManifest(root).tools.qa.version, '1.4.2');
+  } finally {
+    process.env.PATH = path;
+    server.close();
+    rmSync(root, { recursive: true, force: true });
+    rmSync(bin, { recursive: true, force: true });
+  }
+});
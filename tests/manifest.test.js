@@ -0,0 +1,173 @@
+/**
+ * Tests for the project manifest (.tcsetup.yaml)
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { createServer } from 'node:http';
+import { chmodSync, mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+import { readManifest, writeManifest, recordTools, MANIFEST_FILE } from '../src/manifest.js';
+import { planUpdate } from '../src/updater.js';
+import { install } from '../src/installer.js';
+import { makeProject } from './helpers.js';
+
+// ============================================================================
+// Tests for read / write
+// ============================================================================
+
+test('readManifest - returns null for projects without a manifest', () => {
+  const root = makeProject('manifest');
+  try {
+    assert.strictEqual(readManifest(root), null);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('writeManifest - round-trips flags, timestamps, versions and command hashes as strings', () => {
+  const root = makeProject('manifest');
+  try {
+    const manifest = {
+      tcsetup_version: '1.8.0',
+      created_at: '2026-10-19T10:00:00.000Z',
+      updated_at: '2026-10-19T10:00:00.000Z',
+      flags: ['--skip-speckit', '--fail-fast'],
+      pins: { adr: '2.3.1' },
+      tools: {
+        adr: { name: 'ADR System', pkg: 'adr-system', version: '2.3.1' },
+        qa: { name: 'QA System', pkg: '@tcanaud/qa-system', version: '1.0' },
+      },
+      commands: { '.claude/commands/tcsetup.onboard.md': 'sha256-0123abcd' },
+    };
+
+    writeManifest(root, manifest);
+    assert(readFileSync(join(root, MANIFEST_FILE), 'utf8').startsWith('# Generated by tcsetup'));
+    assert.deepEqual(readManifest(root), manifest);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for recordTools
+// ============================================================================
+
+test('recordTools - creates the manifest with installed package versions', () => {
+  const root = makeProject('manifest');
+  try {
+    mkdirSync(join(root, 'node_modules', 'adr-system'), { recursive: true });
+    writeFileSync(join(root, 'node_modules', 'adr-system', 'package.json'), JSON.stringify({ version: '2.3.1' }));
+
+    recordTools(root, [
+      { id: 'adr', name: 'ADR System', pkg: 'adr-system' },
+      { id: 'speckit', name: 'Spec Kit', pkg: null },
+    ], { flags: ['--skip-bmad'] });
+
+    const manifest = readManifest(root);
+    assert.deepEqual(manifest.flags, ['--skip-bmad']);
+    assert.deepEqual(manifest.tools, {
+      adr: { name: 'ADR System', pkg: 'adr-system', version: '2.3.1' },
+      speckit: { name: 'Spec Kit' },
+    });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('recordTools - keeps created_at and earlier tools on later runs', () => {
+  const root = makeProject('manifest');
+  try {
+    recordTools(root, [{ id: 'adr', name: 'ADR System', pkg: 'adr-system' }]);
+    const first = readManifest(root);
+
+    recordTools(root, [{ id: 'qa', name: 'QA System', pkg: '@tcanaud/qa-system' }]);
+    const second = readManifest(root);
+
+    assert.strictEqual(second.created_at, first.created_at);
+    assert.deepEqual(Object.keys(second.tools), ['adr', 'qa']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for manifest-driven updates
+// ============================================================================
+
+test('planUpdate - prefers the manifest over marker detection', () => {
+  const root = makeProject('manifest');
+  try {
+    mkdirSync(join(root, '.adr'));
+    recordTools(root, [{ id: 'qa', name: 'QA System', pkg: '@tcanaud/qa-system' }]);
+
+    const { detected, source } = planUpdate([], root);
+    assert.strictEqual(source, 'manifest');
+    assert.deepEqual(detected.map((t) => t.id), ['qa']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for versions recorded by init
+// ============================================================================
+
+test('install - runs unpinned tools at the registry version and records it', async () => {
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ 'dist-tags': { latest: '3.1.0' } }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const root = makeProject('manifest');
+  const bin = mkdtempSync(join(tmpdir(), 'tcsetup-bin-'));
+  const path = process.env.PATH;
+  try {
+    // An npx stand-in that writes down what it was asked to run.
+    writeFileSync(join(bin, 'npx'), `#!/bin/sh\necho "$@" >> "${join(root, 'npx.log')}"\n`);
+    chmodSync(join(bin, 'npx'), 0o755);
+    process.env.PATH = `${bin}${delimiter}${path}`;
+    await install(['--only=adr', '--no-backup', '--registry', `http://127.0.0.1:${server.address().port}`], root);
+    assert.strictEqual(readFileSync(join(root, 'npx.log'), 'utf8'), 'adr-system@3.1.0 init --yes\n');
+    assert.strictEqual(readManifest(root).tools.adr.version, '3.1.0');
+  } finally {
+    process.env.PATH = path;
+    server.close();
+    rmSync(root, { recursive: true, force: true });
+    rmSync(bin, { recursive: true, force: true });
+  }
+});
+
+test('install --dry-run - plans the commands the real run executes', async () => {
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ 'dist-tags': { latest: '3.1.0' } }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const root = makeProject('manifest');
+  const bin = mkdtempSync(join(tmpdir(), 'tcsetup-bin-'));
+  const path = process.env.PATH;
+  const { log } = console;
+  try {
+    const flags = ['--only=adr,agreements', '--no-backup', '--registry', `http://127.0.0.1:${server.address().port}`];
+    const lines = [];
+    console.log = (...args) => lines.push(args.join(' '));
+    await install([...flags, '--dry-run'], root);
+    console.log = log;
+    const planned = lines.filter((line) => line.includes('$ ')).map((line) => line.split('$ ')[1]);
+
+    writeFileSync(join(bin, 'npx'), `#!/bin/sh\necho "npx $@" >> "${join(root, 'npx.log')}"\n`);
+    chmodSync(join(bin, 'npx'), 0o755);
+    process.env.PATH = `${bin}${delimiter}${path}`;
+    await install(flags, root);
+    assert.deepEqual(planned, ['npx agreement-system@3.1.0 init --yes', 'npx adr-system@3.1.0 init --yes']);
+    assert.deepEqual(readFileSync(join(root, 'npx.log'), 'utf8').trim().split('\n'), planned);
+  } finally {
+    console.log = log;
+    process.env.PATH = path;
+    server.close();
+    rmSync(root, { recursive: true, force: true });
+    rmSync(bin, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for running installer steps side by side
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { parallelLimit, runPool, DEFAULT_PARALLEL } from '../src/parallel.js';
+
+// ============================================================================
+// Tests for parallelLimit
+// ============================================================================
+
+test('parallelLimit - 1 without --parallel, the default for a bare flag', () => {
+  assert.strictEqual(parallelLimit([]), 1);
+  assert.strictEqual(parallelLimit(['--parallel']), DEFAULT_PARALLEL);
+  assert.strictEqual(parallelLimit(['--parallel', '--force']), DEFAULT_PARALLEL);
+});
+
+test('parallelLimit - reads --parallel=N and --parallel N', () => {
+  assert.strictEqual(parallelLimit(['--parallel=3']), 3);
+  assert.strictEqual(parallelLimit(['--parallel', '6']), 6);
+  assert.throws(() => parallelLimit(['--parallel=0']), /Invalid --parallel "0"/);
+  assert.throws(() => parallelLimit(['--parallel=many']), /Invalid --parallel "many"/);
+});
+
+// ============================================================================
+// Tests for runPool
+// ============================================================================
+
+// Tasks that record when they start and finish.
+function tracked(specs) {
+  const events = [];
+  let running = 0;
+  let peak = 0;
+  const tasks = specs.map(({ id, ms = 20, ...rest }) => ({
+    id,
+    ...rest,
+    run: async () => {
+      events.push(`start ${id}`);
+      peak = Math.max(peak, ++running);
+      await sleep(ms);
+      running--;
+      events.push(`end ${id}`);
+    },
+  }));
+  return { tasks, events, peak: () => peak };
+}
+
+test('runPool - runs tasks one at a time with a limit of 1', async () => {
+  const { tasks, events, peak } = tracked([{ id: 'a' }, { id: 'b' }]);
+  await runPool(tasks, 1);
+  assert.deepEqual(events, ['start a', 'end a', 'start b', 'end b']);
+  assert.strictEqual(peak(), 1);
+});
+
+test('runPool - runs up to the limit at once', async () => {
+  const { tasks, peak } = tracked([{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }]);
+  await runPool(tasks, 3);
+  assert.strictEqual(peak(), 3);
+});
+
+test('runPool - exclusive tasks run alone', async () => {
+  const { tasks, events } = tracked([{ id: 'a' }, { id: 'bmad', exclusive: true }, { id: 'b' }]);
+  await runPool(tasks, 4);
+  assert.deepEqual(events, ['start a', 'end a', 'start bmad', 'end bmad', 'start b', 'end b']);
+});
+
+test('runPool - waits for required tasks to finish', async () => {
+  const { tasks, events } = tracked([{ id: 'bmad', ms: 40 }, { id: 'mermaid', requires: ['bmad'] }, { id: 'adr' }]);
+  await runPool(tasks, 4);
+  assert(events.indexOf('end bmad') < events.indexOf('start mermaid'));
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for version pins and option parsing
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { createServer } from 'node:http';
+import { chmodSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+import { getOption, getOptions, withoutOption, resolveCwd } from '../src/flags.js';
+import { parsePins, resolvePins, packageSpec } from '../src/pins.js';
+import { steps, planInstall, stepCommand } from '../src/installer.js';
+import { planUpdate, update } from '../src/updater.js';
+import { readManifest, recordTools } from '../src/manifest.js';
+import { makeProject } from './helpers.js';
+
+// ============================================================================
+// Tests for option parsing
+// ============================================================================
+
+test('getOptions - accepts both --name value and --name=value', () => {
+  const flags = ['--pin', 'adr@1.0.0', '--skip-bmad', '--pin=qa@2.0.0'];
+  assert.deepEqual(getOptions(flags, '--pin'), ['adr@1.0.0', 'qa@2.0.0']);
+  assert.strictEqual(getOption(flags, '--pin'), 'qa@2.0.0');
+  assert.strictEqual(getOption(flags, '--ai'), undefined);
+});
+
+test('getOptions - does not take the next flag as a value', () => {
+  assert.deepEqual(getOptions(['--pin', '--skip-bmad'], '--pin'), []);
+});
+
+test('withoutOption - drops the option in both forms', () => {
+  assert.deepEqual(withoutOption(['update', '--cwd', 'app', '--yes'], '--cwd'), ['update', '--yes']);
+  assert.deepEqual(withoutOption(['--cwd=app', 'check'], '--cwd'), ['check']);
+});
+
+test('resolveCwd - defaults to the current directory and rejects missing ones', () => {
+  assert.equal(resolveCwd([]), process.cwd());
+  assert.equal(resolveCwd(['--cwd', tmpdir()]), tmpdir());
+  assert.throws(() => resolveCwd(['--cwd']), /needs a directory/);
+  assert.throws(() => resolveCwd(['--cwd', join(tmpdir(), 'tcsetup-missing-dir')]), /not a directory/);
+});
+
+// ============================================================================
+// Tests for parsePins / resolvePins
+// ============================================================================
+
+test('parsePins - accepts package names, scoped packages and slugs', () => {
+  const pins = parsePins(
+    ['--pin', 'adr-system@2.3.1', '--pin', '@tcanaud/qa-system@1.4.0', '--pin=playbook@0.9.2'],
+    steps
+  );
+  assert.deepEqual(pins, { adr: '2.3.1', qa: '1.4.0', playbook: '0.9.2' });
+});
+
+test('parsePins - rejects malformed, unknown and non-npm pins', () => {
+  assert.throws(() => parsePins(['--pin', 'adr-system'], steps), /Invalid --pin/);
+  assert.throws(() => parsePins(['--pin', '@tcanaud/qa-system@'], steps), /Invalid --pin/);
+  assert.throws(() => parsePins(['--pin', 'nope@1.0.0'], steps), /Unknown tool/);
+  assert.throws(() => parsePins(['--pin', 'speckit@1.0.0'], steps), /cannot be pinned/);
+});
+
+test('resolvePins - CLI pins override the manifest', () => {
+  const manifest = { pins: { adr: '2.0.0', qa: '1.0.0' } };
+  assert.deepEqual(resolvePins(['--pin', 'adr@2.3.1'], steps, manifest), { adr: '2.3.1', qa: '1.0.0' });
+  assert.deepEqual(resolvePins([], steps, null), {});
+});
+
+test('packageSpec - falls back to latest or the bare package name', () => {
+  const adr = steps.find((s) => s.id === 'adr');
+  assert.strictEqual(packageSpec(adr, { adr: '2.3.1' }), 'adr-system@2.3.1');
+  assert.strictEqual(packageSpec(adr, {}), 'adr-system@latest');
+  assert.strictEqual(packageSpec(adr, {}, null), 'adr-system');
+});
+
+// ============================================================================
+// Tests for pinned installs and updates
+// ============================================================================
+
+test('stepCommand - runs the pinned version of a step', () => {
+  const adr = steps.find((s) => s.id === 'adr');
+  const speckit = steps.find((s) => s.id === 'speckit');
+  assert.deepEqual(stepCommand(adr, { adr: '2.3.1' }), [['npx', 'adr-system@2.3.1', 'init', '--yes']]);
+  assert.deepEqual(stepCommand(adr), [['npx', 'adr-system', 'init', '--yes']]);
+  assert.deepEqual(stepCommand(speckit, { adr: '2.3.1' }), [['specify', 'init', '--here', '--ai', 'claude']]);
+  assert.deepEqual(stepCommand(speckit, {}, 'gemini'), [['specify', 'init', '--here', '--ai', 'gemini']]);
+});
+
+test('planInstall - uses pins saved in the manifest', () => {
+  const root = makeProject('pins');
+  try {
+    recordTools(root, [], { pins: { adr: '2.3.1' } });
+
+    const adr = planInstall([], root).find((a) => a.id === 'adr');
+    assert.strictEqual(adr.cmd, 'npx adr-system@2.3.1 init --yes');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('planUpdate - installs pins, or latest with --to-latest', () => {
+  const root = makeProject('pins');
+  try {
+    recordTools(root, [
+      { id: 'adr', name: 'ADR System', pkg: 'adr-system' },
+      { id: 'qa', name: 'QA System', pkg: '@tcanaud/qa-system' },
+    ], { pins: { adr: '2.3.1' } });
+
+    assert.strictEqual(planUpdate([], root).plan[0].cmd, 'npm install --save-dev adr-system@2.3.1 @tcanaud/qa-system@latest');
+    assert.strictEqual(
+      planUpdate(['--to-latest'], root).plan[0].cmd,
+      'npm install --save-dev adr-system@latest @tcanaud/qa-system@latest'
+    );
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('update --to-latest - runs BMAD at the registry version and moves its pin', async () => {
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ 'dist-tags': { latest: '6.2.0' } }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const root = makeProject('pins', { 'package.json': '{}\n' });
+  const bin = mkdtempSync(join(tmpdir(), 'tcsetup-bin-'));
+  const path = process.env.PATH;
+  try {
+    recordTools(root, [{ id: 'bmad', name: 'BMAD Method', pkg: 'bmad-method' }], { pins: { bmad: '6.0.0' } });
+    mkdirSync(join(root, '_bmad'));
+
+    // An npx stand-in that writes down what it was asked to run.
+    writeFileSync(join(bin, 'npx'), `#!/bin/sh\necho "$@" >> "${join(root, 'npx.log')}"\n`);
+    chmodSync(join(bin, 'npx'), 0o755);
+    process.env.PATH = `${bin}${delimiter}${path}`;
+    await update(['--to-latest', '--no-backup', '--registry', `http://127.0.0.1:${server.address().port}`], root);
+
+    assert.strictEqual(readFileSync(join(root, 'npx.log'), 'utf8'), 'bmad-method@6.2.0 install\n');
+    const manifest = readManifest(root);
+    assert.strictEqual(manifest.pins.bmad, '6.2.0');
+    assert.strictEqual(manifest.tools.bmad.version, '6.2.0');
+  } finally {
+    process.env.PATH = path;
+    server.close();
+    rmSync(root, { recursive: true, force: true });
+    rmSync(bin, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for dry-run planning
+ * planInstall() and planUpdate() must resolve the full plan without side effects
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdirSync, readdirSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { planInstall, expandSelection } from '../src/installer.js';
+import { planUpdate } from '../src/updater.js';
+import { sortByRequires, unmetRequirement } from '../src/deps.js';
+import { makeProject } from './helpers.js';
+
+// ============================================================================
+// Tests for planInstall
+// ============================================================================
+
+test('planInstall - resolves skip flags in step order', () => {
+  const root = makeProject('plan');
+  try {
+    const plan = planInstall(['--skip-speckit', '--skip-qa'], root);
+
+    const steps = plan.filter((a) => a.kind !== 'copy');
+    assert.strictEqual(steps.length, 10);
+    assert.deepEqual(steps[0], {
+      kind: 'run',
+      id: 'bmad',
+      name: 'BMAD Method',
+      cmd: 'npx bmad-method install',
+      argv: [['npx', 'bmad-method', 'install']],
+    });
+    assert.deepEqual(steps[1], { kind: 'skip', id: 'speckit', name: 'Spec Kit', reason: '--skip-speckit' });
+    assert.strictEqual(steps.find((a) => a.name === 'QA System').kind, 'skip');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('planInstall - lists command-file copies last and writes nothing', () => {
+  const root = makeProject('plan');
+  try {
+    const plan = planInstall([], root);
+
+    const last = plan[plan.length - 1];
+    assert.strictEqual(last.kind, 'copy');
+    assert.strictEqual(last.label, '.claude/commands/tcsetup.onboard.md');
+    assert.strictEqual(last.dest, join(root, '.claude', 'commands', 'tcsetup.onboard.md'));
+    assert.deepEqual(readdirSync(root), []);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for planUpdate
+// ============================================================================
+
+test('planUpdate - returns an empty plan when no tool is detected', () => {
+  const root = makeProject('plan');
+  try {
+    assert.deepEqual(planUpdate([], root), { detected: [], source: 'markers', pins: {}, ai: 'claude', pm: 'npm', plan: [] });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('planUpdate - builds the npm install line from detected markers', () => {
+  const root = makeProject('plan');
+  try {
+    mkdirSync(join(root, '.adr'));
+    mkdirSync(join(root, '.qa'));
+
+    const { detected, plan } = planUpdate([], root);
+    assert.deepEqual(detected.map((t) => t.name), ['ADR System', 'QA System']);
+    assert.strictEqual(plan[0].cmd, 'npm install --save-dev adr-system@latest @tcanaud/qa-system@latest');
+    assert.deepEqual(
+      plan.filter((a) => a.phase === 'tools').map((a) => a.cmd),
+      ['npx adr-system update', 'npx @tcanaud/qa-system update']
+    );
+    assert.strictEqual(plan.filter((a) => a.phase === 'commands').length, 1);
+    assert.deepEqual(readdirSync(root).sort(), ['.adr', '.qa']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('planUpdate - runs BMAD through npx and Spec Kit outside npm install', () => {
+  const root = makeProject('plan');
+  try {
+    mkdirSync(join(root, '_bmad'));
+    mkdirSync(join(root, '.specify'));
+    mkdirSync(join(root, '.adr'));
+
+    const { detected, plan } = planUpdate(['--pin', 'bmad@6.0.0'], root);
+    assert.deepEqual(detected.map((t) => t.id), ['bmad', 'speckit', 'adr']);
+    assert.strictEqual(plan[0].cmd, 'npm install --save-dev adr-system@latest');
+    assert.deepEqual(
+      plan.filter((a) => a.phase === 'tools').map((a) => a.cmd),
+      [
+        'npx bmad-method@6.0.0 install',
+        'uv tool install specify-cli --force --from git+https://github.com/github/spec-kit.git && specify init --here --force --ai claude',
+        'npx adr-system update',
+      ]
+    );
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('planUpdate - leaves out npm install when no npm package is detected', () => {
+  const root = makeProject('plan');
+  try {
+    mkdirSync(join(root, '.specify'));
+
+    const { plan } = planUpdate([], root);
+    assert(!plan.some((a) => a.phase === 'packages'));
+    assert.deepEqual(plan.filter((a) => a.phase === 'tools').map((a) => a.name), ['Spec Kit']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for --only selection
+// ============================================================================
+
+test('expandSelection - turns --only into skip flags for every other step', () => {
+  const flags = expandSelection(['--only=adr,agreements']);
+  assert(!flags.includes('--skip-adr'));
+  assert(!flags.includes('--skip-agreements'));
+  assert(flags.includes('--skip-bmad'));
+  assert(flags.includes('--skip-playbook'));
+  assert.strictEqual(flags.filter((f) => f.startsWith('--skip-')).length, 8);
+});
+
+test('expandSelection - leaves flags alone without --only and rejects unknown tools', () => {
+  assert.deepEqual(expandSelection(['--skip-qa']), ['--skip-qa']);
+  assert.throws(() => expandSelection(['--only', 'adr,nope']), /Unknown tool "nope" in --only/);
+});
+
+test('planInstall - runs only the --only tools', () => {
+  const root = makeProject('plan');
+  try {
+    const runs = planInstall(['--only', 'adr', '--only=qa'], root).filter((a) => a.kind === 'run');
+    assert.deepEqual(runs.map((a) => a.id), ['adr', 'qa']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for step requirements
+// ============================================================================
+
+test('sortByRequires - moves steps after their requirements, keeping order otherwise', () => {
+  const sorted = sortByRequires([
+    { id: 'mermaid', name: 'Mermaid', requires: ['bmad'] },
+    { id: 'adr', name: 'ADR' },
+    { id: 'bmad', name: 'BMAD' },
+  ]);
+  assert.deepEqual(sorted.map((s) => s.id), ['adr', 'bmad', 'mermaid']);
+});
+
+test('sortByRequires - rejects unknown and circular requirements', () => {
+  assert.throws(() => sortByRequires([{ id: 'a', name: 'A', requires: ['x'] }]), /requires unknown step "x"/);
+  assert.throws(
+    () => sortByRequires([{ id: 'a', name: 'A', requires: ['b'] }, { id: 'b', name: 'B', requires: ['a'] }]),
+    /Circular step requirements between: a, b/
+  );
+});
+
+test('unmetRequirement - failed or absent skipped requirements are unmet', () => {
+  const item = { requires: ['bmad'] };
+  const failed = [{ id: 'bmad', name: 'BMAD Method', status: 'failed' }];
+  const skipped = [{ id: 'bmad', name: 'BMAD Method', status: 'skipped' }];
+
+  assert.strictEqual(unmetRequirement(item, failed), 'requires BMAD Method, which failed');
+  assert.strictEqual(unmetRequirement(item, skipped), 'requires BMAD Method, which was skipped');
+  assert.strictEqual(unmetRequirement(item, skipped, () => true), null);
+  assert.strictEqual(unmetRequirement(item, [{ id: 'bmad', status: 'succeeded' }]), null);
+});
+
+test('planInstall - auto-skips Mermaid Workbench when BMAD is skipped and absent', () => {
+  const root = makeProject('plan');
+  try {
+    const mermaid = planInstall(['--skip-bmad'], root).find((a) => a.id === 'mermaid');
+    assert.deepEqual(mermaid, {
+      kind: 'skip',
+      id: 'mermaid',
+      name: 'Mermaid Workbench',
+      reason: 'requires BMAD Method, which was skipped',
+    });
+
+    mkdirSync(join(root, '_bmad'));
+    assert.strictEqual(planInstall(['--skip-bmad'], root).find((a) => a.id === 'mermaid').kind, 'run');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for package manager detection and command translation
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdirSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { detectPackageManager, execCommand, installCommand, uninstallCommand } from '../src/pm.js';
+import { planInstall } from '../src/installer.js';
+import { planUpdate } from '../src/updater.js';
+import { makeProject, writeFile } from './helpers.js';
+
+// ============================================================================
+// Tests for detectPackageManager
+// ============================================================================
+
+test('detectPackageManager - defaults to npm', () => {
+  const root = makeProject('pm');
+  try {
+    assert.strictEqual(detectPackageManager([], root), 'npm');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('detectPackageManager - recognizes lockfiles', () => {
+  for (const [file, pm] of [['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn'], ['bun.lockb', 'bun'], ['bun.lock', 'bun'], ['package-lock.json', 'npm']]) {
+    const root = makeProject('pm', { [file]: '' });
+    try {
+      assert.strictEqual(detectPackageManager([], root), pm, file);
+    } finally {
+      rmSync(root, { recursive: true, force: true });
+    }
+  }
+});
+
+test('detectPackageManager - the packageManager field beats lockfiles, --pm beats both', () => {
+  const root = makeProject('pm', { 'package.json': JSON.stringify({ packageManager: 'pnpm@9.1.0' }), 'package-lock.json': '' });
+  try {
+    assert.strictEqual(detectPackageManager([], root), 'pnpm');
+    assert.strictEqual(detectPackageManager(['--pm', 'bun'], root), 'bun');
+    assert.throws(() => detectPackageManager(['--pm=deno'], root), /Unknown package manager "deno"/);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for command translation
+// ============================================================================
+
+test('execCommand - translates npx for each package manager', () => {
+  const root = makeProject('pm', { '.yarnrc.yml': '' });
+  try {
+    assert.deepEqual(execCommand('npm', 'adr-system', ['init'], root), ['npx', 'adr-system', 'init']);
+    assert.deepEqual(execCommand('pnpm', 'adr-system', ['init'], root), ['pnpm', 'dlx', 'adr-system', 'init']);
+    assert.deepEqual(execCommand('yarn', 'adr-system', ['init'], root), ['yarn', 'dlx', 'adr-system', 'init']);
+    assert.deepEqual(execCommand('bun', 'adr-system', ['init'], root), ['bunx', 'adr-system', 'init']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('execCommand - falls back to npx for Yarn 1', () => {
+  const root = makeProject('pm', { 'package.json': JSON.stringify({ packageManager: 'yarn@1.22.22' }) });
+  try {
+    assert.deepEqual(execCommand('yarn', 'adr-system', ['init'], root), ['npx', 'adr-system', 'init']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installCommand / uninstallCommand - use the package manager verbs', () => {
+  assert.deepEqual(installCommand('npm', ['a@1', 'b']), ['npm', 'install', '--save-dev', 'a@1', 'b']);
+  assert.deepEqual(installCommand('pnpm', ['a@1']), ['pnpm', 'add', '--save-dev', 'a@1']);
+  assert.deepEqual(uninstallCommand('bun', 'a'), ['bun', 'remove', 'a']);
+});
+
+test('installCommand - adds to a pnpm workspace root with -w', () => {
+  const root = makeProject('pm', { 'pnpm-workspace.yaml': "packages:\n  - 'packages/*'\n" });
+  try {
+    assert.deepEqual(installCommand('pnpm', ['a@1'], {}, root), ['pnpm', 'add', '-w', '--save-dev', 'a@1']);
+    assert.deepEqual(installCommand('npm', ['a@1'], {}, root), ['npm', 'install', '--save-dev', 'a@1']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installCommand - adds to a Yarn 1 workspace root with -W', () => {
+  const root = makeProject('pm', { 'package.json': JSON.stringify({ workspaces: ['packages/*'] }), 'yarn.lock': '' });
+  try {
+    assert.deepEqual(installCommand('yarn', ['a@1'], {}, root), ['yarn', 'add', '-W', '--dev', 'a@1']);
+    writeFile(root, '.yarnrc.yml', 'nodeLinker: node-modules\n');
+    assert.deepEqual(installCommand('yarn', ['a@1'], {}, root), ['yarn', 'add', '--dev', 'a@1']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installCommand - saves exact versions on request', () => {
+  assert.deepEqual(installCommand('npm', ['a@latest'], { exact: true }), ['npm', 'install', '--save-dev', '--save-exact', 'a@latest']);
+  assert.deepEqual(installCommand('yarn', ['a@latest'], { exact: true }), ['yarn', 'add', '--dev', '--exact', 'a@latest']);
+});
+
+// ============================================================================
+// Tests for planning with another package manager
+// ============================================================================
+
+test('planInstall - runs steps through the detected package manager', () => {
+  const root = makeProject('pm', { 'pnpm-lock.yaml': '' });
+  try {
+    const plan = planInstall(['--only=adr'], root);
+    assert.strictEqual(plan.find((a) => a.id === 'adr').cmd, 'pnpm dlx adr-system init --yes');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('planUpdate - installs and runs tools through the detected package manager', () => {
+  const root = makeProject('pm', { 'pnpm-lock.yaml': '' });
+  try {
+    mkdirSync(join(root, '.adr'));
+    mkdirSync(join(root, '.knowledge'));
+
+    const { pm, plan } = planUpdate(['--pin', 'adr@2.3.1'], root);
+    assert.strictEqual(pm, 'pnpm');
+    assert.strictEqual(plan[0].cmd, 'pnpm add --save-dev adr-system@2.3.1 @tcanaud/knowledge-system@latest');
+    assert.deepEqual(
+      plan.filter((a) => a.phase === 'tools').map((a) => a.cmd),
+      [
+        'pnpm dlx adr-system@2.3.1 update',
+        'pnpm dlx @tcanaud/knowledge-system@latest update && pnpm dlx @tcanaud/knowledge-system@latest refresh',
+      ]
+    );
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for pre-flight checks
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { execSync } from 'node:child_process';
+import { writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { satisfiesEngine, onPath, preflightChecks } from '../src/preflight.js';
+import { makeProject } from './helpers.js';
+
+// ============================================================================
+// Tests for helpers
+// ============================================================================
+
+test('satisfiesEngine - compares against a >= range', () => {
+  assert.strictEqual(satisfiesEngine('>=18.0.0', 'v20.11.1'), true);
+  assert.strictEqual(satisfiesEngine('>=18.0.0', '18.0.0'), true);
+  assert.strictEqual(satisfiesEngine('>=18.0.0', '16.20.2'), false);
+  assert.strictEqual(satisfiesEngine('>=18', '17.9.0'), false);
+  assert.strictEqual(satisfiesEngine(undefined, '10.0.0'), true);
+});
+
+test('onPath - finds executables on PATH', () => {
+  assert.strictEqual(onPath('node'), true);
+  assert.strictEqual(onPath('definitely-not-a-real-command-xyz'), false);
+});
+
+// ============================================================================
+// Tests for preflightChecks
+// ============================================================================
+
+test('preflightChecks - checks only the commands of steps that will run', () => {
+  const root = makeProject('preflight');
+  try {
+    const checks = preflightChecks([
+      { name: 'Spec Kit', argv: [['definitely-not-a-real-command-xyz', 'init', '--here']] },
+      { name: 'Knowledge System', argv: [['node', '-v'], ['node', '-e', '1']] },
+    ], root);
+
+    const missing = checks.find((c) => c.label.startsWith('definitely-not-a-real-command-xyz'));
+    assert.strictEqual(missing.ok, false);
+    assert.match(missing.label, /needed by Spec Kit/);
+    assert(missing.fix);
+    assert.strictEqual(checks.filter((c) => c.label === 'node found on PATH').length, 1);
+
+    const noSpecify = preflightChecks([{ name: 'ADR System', argv: [['node', 'adr']] }], root);
+    assert(!noSpecify.some((c) => c.label.includes('definitely-not')));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('preflightChecks - flags uncommitted changes in a git repository', () => {
+  const root = makeProject('preflight');
+  try {
+    const gitCheck = () => preflightChecks([], root).find((c) => /git/i.test(c.label));
+
+    assert.deepEqual(gitCheck(), { ok: true, label: 'Not a git repository (no uncommitted-changes check)' });
+
+    execSync('git init -q', { cwd: root });
+    assert.deepEqual(gitCheck(), { ok: true, label: 'Git working tree is clean' });
+
+    writeFileSync(join(root, 'notes.md'), 'draft');
+    assert.strictEqual(gitCheck().ok, false);
+    assert.strictEqual(gitCheck().label, 'Git working tree has 1 uncommitted change');
+
+    const resumed = preflightChecks([], root, { resuming: true }).find((c) => /git/i.test(c.label));
+    assert.deepEqual(resumed, { ok: true, label: 'Git working tree has 1 uncommitted change (left by the init being resumed)' });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for step timeouts and retries
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { parseRetryOptions, stepPolicy, isTransient, DEFAULT_TIMEOUT, DEFAULT_RETRIES, BACKOFF_MS } from '../src/retry.js';
+
+const ids = ['bmad', 'speckit', 'adr'];
+
+// ============================================================================
+// Tests for parseRetryOptions
+// ============================================================================
+
+test('parseRetryOptions - defaults without flags', () => {
+  assert.deepEqual(parseRetryOptions([], ids), { timeout: null, perTool: {}, retries: DEFAULT_RETRIES });
+});
+
+test('parseRetryOptions - reads a global and per-tool timeouts', () => {
+  const options = parseRetryOptions(['--timeout', '300', '--timeout=speckit=1200', '--timeout', 'adr=0'], ids);
+  assert.deepEqual(options, { timeout: 300, perTool: { speckit: 1200, adr: 0 }, retries: DEFAULT_RETRIES });
+});
+
+test('parseRetryOptions - reads --retries', () => {
+  assert.strictEqual(parseRetryOptions(['--retries', '0'], ids).retries, 0);
+  assert.strictEqual(parseRetryOptions(['--retries=5'], ids).retries, 5);
+});
+
+test('parseRetryOptions - rejects invalid values and unknown tools', () => {
+  assert.throws(() => parseRetryOptions(['--timeout', 'soon'], ids), /Invalid --timeout "soon"/);
+  assert.throws(() => parseRetryOptions(['--timeout', 'nope=10'], ids), /Unknown tool "nope"/);
+  assert.throws(() => parseRetryOptions(['--retries', '-1'], ids), /Invalid --retries/);
+});
+
+// ============================================================================
+// Tests for stepPolicy
+// ============================================================================
+
+test('stepPolicy - falls back to the tool timeout, then the default', () => {
+  const options = parseRetryOptions([], ids);
+  assert.deepEqual(stepPolicy(options), { timeoutMs: DEFAULT_TIMEOUT * 1000, attempts: DEFAULT_RETRIES + 1, backoffMs: BACKOFF_MS });
+  assert.strictEqual(stepPolicy(options, { id: 'bmad', timeout: 1800 }).timeoutMs, 1800000);
+});
+
+test('stepPolicy - per-tool flag beats the global flag, which beats the tool timeout', () => {
+  const options = parseRetryOptions(['--timeout', '60', '--timeout', 'speckit=120'], ids);
+  assert.strictEqual(stepPolicy(options, { id: 'speckit' }).timeoutMs, 120000);
+  assert.strictEqual(stepPolicy(options, { id: 'bmad', timeout: 1800 }).timeoutMs, 60000);
+});
+
+test('stepPolicy - a timeout of 0 disables it', () => {
+  assert.strictEqual(stepPolicy(parseRetryOptions(['--timeout', '0'], ids), { id: 'adr' }).timeoutMs, null);
+});
+
+// ============================================================================
+// Tests for isTransient
+// ============================================================================
+
+test('isTransient - recognizes network and registry errors', () => {
+  assert(isTransient('npm error code ECONNRESET'));
+  assert(isTransient('getaddrinfo EAI_AGAIN registry.npmjs.org'));
+  assert(isTransient('npm ERR! code E503'));
+  assert(isTransient('Error: socket hang up'));
+  assert(isTransient('429 Too Many Requests - GET https://registry.npmjs.org/adr-system'));
+});
+
+test('isTransient - ignores ordinary failures', () => {
+  assert(!isTransient('npm error code E404'));
+  assert(!isTransient('Error: Cannot find module ./missing'));
+  assert(!isTransient(''));
+});
@@ -0,0 +1,266 @@
+/**
+ * Tests for step execution and the run summary
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { fstatSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { runStep, skipStep, formatCommand } from '../src/runner.js';
+import { startRunLog, stepLog, finishRunLog } from '../src/logs.js';
+import { hasFailures, failureReason } from '../src/summary.js';
+import { formatTable } from '../src/table.js';
+import { runReport } from '../src/output.js';
+import { makeProject } from './helpers.js';
+
+// ============================================================================
+// Tests for runStep / skipStep
+// ============================================================================
+
+// A step running `node -e <script> [...args]`.
+function nodeStep(name, script, ...args) {
+  const argv = [[process.execPath, '-e', script, ...args]];
+  return { name, cmd: formatCommand(argv), argv };
+}
+
+test('runStep - records a succeeded step and its duration', async () => {
+  const action = nodeStep('ok', 'process.exit(0)');
+  const { durationMs, ...result } = await runStep(action);
+  assert.deepEqual(result, { id: null, name: 'ok', cmd: action.cmd, status: 'succeeded', exitCode: 0, attempts: 1 });
+  assert(Number.isInteger(durationMs) && durationMs >= 0);
+});
+
+test('runStep - records a failed step with its exit code', async () => {
+  const result = await runStep(nodeStep('broken', 'process.exit(4)'));
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.exitCode, 4);
+});
+
+test('runStep - passes arguments without a shell', async () => {
+  const root = makeProject('runner');
+  try {
+    const out = join(root, 'args.json');
+    const weird = 'a b; echo $HOME && `id`';
+
+    const result = await runStep(nodeStep('args', 'require("fs").writeFileSync(process.argv[1], JSON.stringify(process.argv.slice(2)))', out, weird));
+    assert.strictEqual(result.status, 'succeeded');
+    assert.deepEqual(JSON.parse(readFileSync(out, 'utf8')), [weird]);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('runStep - runs commands in order and stops at the first failure', async () => {
+  const root = makeProject('runner');
+  try {
+    const out = join(root, 'order.txt');
+    const append = (text) => [process.execPath, '-e', `require("fs").appendFileSync(process.argv[1], "${text}")`, out];
+    const argv = [append('1'), [process.execPath, '-e', 'process.exit(3)'], append('2')];
+
+    const result = await runStep({ name: 'chain', cmd: formatCommand(argv), argv });
+    assert.strictEqual(result.exitCode, 3);
+    assert.strictEqual(readFileSync(out, 'utf8'), '1');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('runStep - reports a missing executable as exit code 127', async () => {
+  const argv = [['definitely-not-a-real-command-xyz']];
+  const result = await runStep({ name: 'missing', cmd: formatCommand(argv), argv });
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.exitCode, 127);
+});
+
+test('runStep - tees stdout and stderr to the step log', async () => {
+  const root = makeProject('runner');
+  try {
+    const runLog = startRunLog(root, 'init');
+    const action = { id: 'adr', ...nodeStep('ADR System', 'console.log("out"); console.error("err"); process.exit(2)') };
+
+    const log = stepLog(runLog, action);
+    assert.strictEqual(log.label, `.tcsetup/logs/${runLog.id}/01-adr.log`);
+
+    const result = await runStep(action, log);
+    assert.strictEqual(result.log, log.label);
+    assert.strictEqual(result.exitCode, 2);
+    const content = readFileSync(log.path, 'utf8');
+    assert(content.startsWith(`$ ${action.cmd}`));
+    assert(content.includes('out\n') && content.includes('err\n'));
+
+    finishRunLog(runLog, [result]);
+    const index = JSON.parse(readFileSync(join(runLog.dir, 'index.json'), 'utf8'));
+    assert.strictEqual(index.command, 'init');
+    assert.deepEqual(index.steps.map((s) => [s.id, s.status, s.log]), [['adr', 'failed', log.label]]);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('runStep - gives an interactive step the terminal itself', async () => {
+  const root = makeProject('runner');
+  const isTTY = process.stdout.isTTY;
+  try {
+    const runLog = startRunLog(root, 'init');
+    const out = join(root, 'stdout.json');
+    const action = { id: 'bmad', ...nodeStep('BMAD Method', 'require("fs").writeFileSync(process.argv[1], JSON.stringify(require("fs").fstatSync(1).ino))', out) };
+    const log = stepLog(runLog, action);
+
+    process.stdout.isTTY = true;
+    const result = await runStep(action, log, {}, { interactive: true });
+    assert.strictEqual(result.status, 'succeeded');
+    assert.strictEqual(JSON.parse(readFileSync(out, 'utf8')), fstatSync(1).ino);
+    assert.match(readFileSync(log.path, 'utf8'), /Output shown in the terminal, not captured\. Exit code 0\./);
+  } finally {
+    process.stdout.isTTY = isTTY;
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('runStep - stops a step that runs past its timeout', async () => {
+  const result = await runStep(nodeStep('slow', 'setTimeout(() => {}, 10000)'), null, { timeoutMs: 200 });
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.timedOut, true);
+  assert.strictEqual(result.exitCode, 124);
+  assert.strictEqual(result.attempts, 1);
+  assert(result.durationMs < 5000);
+});
+
+// A killed orphan can linger as a zombie where nothing reaps it (containers).
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+  try {
+    return !/^\d+ \(.*\) Z/.test(readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  } catch {
+    return true;
+  }
+}
+
+test('runStep - stops the children of a step that times out', { skip: process.platform === 'win32' }, async () => {
+  const root = makeProject('runner');
+  let pid;
+  try {
+    const out = join(root, 'grandchild.pid');
+    // Starts a grandchild, as npx → npm → postinstall does, and waits.
+    const script = `const g = require("child_process").spawn(process.execPath, ["-e", "setTimeout(() => {}, 30000)"], { stdio: "ignore" }); require("fs").writeFileSync(process.argv[1], String(g.pid)); setTimeout(() => {}, 30000);`;
+
+    const result = await runStep(nodeStep('spawner', script, out), null, { timeoutMs: 1000 });
+    assert.strictEqual(result.timedOut, true);
+    pid = Number(readFileSync(out, 'utf8'));
+    for (let i = 0; i < 20 && isRunning(pid); i++) await new Promise((resolve) => setTimeout(resolve, 100));
+    assert(!isRunning(pid), 'the grandchild is still running');
+  } finally {
+    if (pid && isRunning(pid)) process.kill(pid, 'SIGKILL');
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('runStep - retries a transient failure until it succeeds', async () => {
+  const root = makeProject('runner');
+  try {
+    const counter = join(root, 'count');
+    // Fails with ECONNRESET on the first run, succeeds on the second.
+    const script = `const fs = require('fs'); const n = fs.existsSync(process.argv[1]) ? 1 : 0; fs.writeFileSync(process.argv[1], '1'); if (!n) { console.error('npm error code ECONNRESET'); process.exit(1); }`;
+
+    const result = await runStep(nodeStep('flaky', script, counter), null, { attempts: 3, backoffMs: 10 });
+    assert.strictEqual(result.status, 'succeeded');
+    assert.strictEqual(result.attempts, 2);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('runStep - does not retry failures that are not transient', async () => {
+  const result = await runStep(nodeStep('broken', 'process.exit(1)'), null, { attempts: 3, backoffMs: 10 });
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.attempts, 1);
+});
+
+test('runStep - gives up after the last attempt', async () => {
+  const action = nodeStep('offline', 'console.error("getaddrinfo EAI_AGAIN registry.npmjs.org"); process.exit(1)');
+  const result = await runStep(action, null, { attempts: 2, backoffMs: 10 });
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.attempts, 2);
+});
+
+test('runStep - Ctrl-C stops the step and records it as interrupted', async () => {
+  // Runs in its own process: an interrupt ends every later step of the run.
+  const runner = new URL('../src/runner.js', import.meta.url).href;
+  const script = `
+    const { runStep, wasInterrupted } = await import(${JSON.stringify(runner)});
+    const argv = [[process.execPath, '-e', 'setTimeout(() => {}, 10000)'], [process.execPath, '-e', '']];
+    setTimeout(() => process.kill(process.pid, 'SIGINT'), 300);
+    const result = await runStep({ name: 'slow', cmd: 'slow', argv });
+    process.stdout.write(JSON.stringify({ status: result.status, exitCode: result.exitCode, interrupted: wasInterrupted() }));
+  `;
+  const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8', timeout: 20000 });
+
+  assert.deepEqual(JSON.parse(child.stdout), { status: 'interrupted', exitCode: 130, interrupted: true });
+});
+
+test('skipStep - records the skip reason', () => {
+  const result = skipStep({ id: 'speckit', name: 'Spec Kit', cmd: 'specify init' }, '--skip-speckit');
+  assert.deepEqual(result, {
+    id: 'speckit',
+    name: 'Spec Kit',
+    cmd: 'specify init',
+    status: 'skipped',
+    exitCode: null,
+    reason: '--skip-speckit',
+  });
+});
+
+// ============================================================================
+// Tests for summary helpers
+// ============================================================================
+
+test('hasFailures - true only when a step failed', () => {
+  assert.strictEqual(hasFailures([]), false);
+  assert.strictEqual(hasFailures([{ status: 'succeeded' }, { status: 'skipped' }]), false);
+  assert.strictEqual(hasFailures([{ status: 'succeeded' }, { status: 'failed' }]), true);
+});
+
+test('failureReason - names the timeout or the exit code', () => {
+  assert.strictEqual(failureReason({ exitCode: 2 }), 'exit code 2');
+  assert.strictEqual(failureReason({ exitCode: 124, timedOut: true, timeoutMs: 600000 }), 'timed out after 10m');
+  assert.strictEqual(failureReason({ exitCode: 124, timedOut: true, timeoutMs: 90000 }), 'timed out after 90s');
+});
+
+test('formatCommand - joins commands and quotes arguments that need it', () => {
+  assert.strictEqual(formatCommand([['npx', 'adr-system@2.3.1', 'init', '--yes']]), 'npx adr-system@2.3.1 init --yes');
+  assert.strictEqual(formatCommand([['npx', 'a', 'update'], ['npx', 'a', 'refresh']]), 'npx a update && npx a refresh');
+  assert.strictEqual(formatCommand([['node', '-e', "console.log('hi')"]]), `node -e 'console.log('\\''hi'\\'')'`);
+});
+
+test('formatTable - pads columns to the widest cell', () => {
+  assert.deepEqual(formatTable([['Step', 'Result'], ['ADR System', 'ok']]), [
+    'Step        Result',
+    'ADR System  ok',
+  ]);
+});
+
+test('runReport - lists every step with status, exit code and duration', () => {
+  const report = runReport(
+    'init',
+    [
+      { id: 'adr', name: 'ADR System', cmd: 'npx adr-system init --yes', status: 'failed', exitCode: 2, durationMs: 120, attempts: 3 },
+      { id: 'qa', name: 'QA System', cmd: null, status: 'skipped', exitCode: null, reason: '--skip-qa' },
+    ],
+    { backup: null }
+  );
+
+  assert.deepEqual(report, {
+    command: 'init',
+    ok: false,
+    steps: [
+      { id: 'adr', name: 'ADR System', cmd: 'npx adr-system init --yes', status: 'failed', exitCode: 2, durationMs: 120, attempts: 3, timedOut: false, log: null },
+      { id: 'qa', name: 'QA System', cmd: null, status: 'skipped', exitCode: null, durationMs: null, attempts: null, timedOut: false, log: null, reason: '--skip-qa' },
+    ],
+    backup: null,
+  });
+});
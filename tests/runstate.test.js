@@ -0,0 +1,101 @@
+/**
+ * Tests for resuming an unfinished init
+ * Progress is saved after each step; --resume skips what already succeeded
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { execSync } from 'node:child_process';
+import { chmodSync, mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+import { readRunState, startRunState, recordStep, clearRunState, completedSteps } from '../src/runstate.js';
+import { planInstall, install } from '../src/installer.js';
+import { makeProject } from './helpers.js';
+
+// ============================================================================
+// Tests for the run-state file
+// ============================================================================
+
+test('recordStep - saves each outcome so a later run can read it back', () => {
+  const root = makeProject('runstate');
+  try {
+    assert.strictEqual(readRunState(root), null);
+
+    const state = startRunState(root, ['--skip-qa', '--resume', '--fail-fast']);
+    recordStep(root, state, { id: 'bmad', status: 'succeeded' });
+    recordStep(root, state, { id: 'speckit', status: 'failed' });
+
+    const saved = readRunState(root);
+    assert.deepEqual(saved.flags, ['--skip-qa', '--fail-fast']);
+    assert.deepEqual(saved.steps, { bmad: 'succeeded', speckit: 'failed' });
+    assert.deepEqual(completedSteps(saved), ['bmad']);
+
+    clearRunState(root);
+    assert.strictEqual(readRunState(root), null);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('startRunState - keeps the progress of the run being resumed', () => {
+  const root = makeProject('runstate');
+  try {
+    const previous = { flags: [], started_at: '2026-10-19T10:00:00.000Z', steps: { bmad: 'succeeded' } };
+
+    const state = startRunState(root, [], previous);
+    assert.strictEqual(state.started_at, previous.started_at);
+    assert.deepEqual(state.steps, { bmad: 'succeeded' });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for planning a resumed run
+// ============================================================================
+
+test('planInstall - skips steps completed by the resumed run', () => {
+  const root = makeProject('runstate');
+  try {
+    mkdirSync(join(root, '_bmad'));
+
+    const plan = planInstall([], root, ['bmad', 'speckit']);
+    assert.deepEqual(plan.find((a) => a.id === 'bmad'), {
+      kind: 'skip',
+      id: 'bmad',
+      name: 'BMAD Method',
+      reason: 'completed in a previous run',
+      completed: true,
+    });
+    assert.strictEqual(plan.find((a) => a.id === 'mermaid').kind, 'run');
+    assert.strictEqual(plan.find((a) => a.id === 'adr').kind, 'run');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('install --resume - runs in a git repository left dirty by the failed run', async () => {
+  const root = makeProject('runstate');
+  const bin = mkdtempSync(join(tmpdir(), 'tcsetup-bin-'));
+  const path = process.env.PATH;
+  try {
+    execSync('git init -q && git -c user.name=t -c user.email=t@t commit -q --allow-empty -m init', { cwd: root });
+    const state = startRunState(root, ['--only=adr', '--no-backup', '--registry=http://127.0.0.1:9']);
+    recordStep(root, state, { id: 'adr', status: 'failed' });
+    writeFileSync(join(root, '.tcsetup.yaml'), 'tools: {}\n');
+
+    // An npx stand-in that succeeds without installing anything.
+    writeFileSync(join(bin, 'npx'), '#!/bin/sh\nexit 0\n');
+    chmodSync(join(bin, 'npx'), 0o755);
+    process.env.PATH = `${bin}${delimiter}${path}`;
+    const results = await install(['--resume'], root);
+    assert.strictEqual(results.find((r) => r.id === 'adr').status, 'succeeded');
+    assert(!results.some((r) => r.status === 'failed'));
+    assert.strictEqual(readRunState(root), null);
+  } finally {
+    process.env.PATH = path;
+    rmSync(root, { recursive: true, force: true });
+    rmSync(bin, { recursive: true, force: true });
+  }
+});
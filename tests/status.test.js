@@ -0,0 +1,93 @@
+/**
+ * Tests for the status report
+ * Builds throwaway project trees and checks what getStatus() detects
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdirSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { getStatus } from '../src/status.js';
+import { findMarker, installedVersion } from '../src/detect.js';
+import { makeProject, writeFile } from './helpers.js';
+
+// ============================================================================
+// Tests for marker and version detection
+// ============================================================================
+
+test('findMarker - returns the first marker path that exists', () => {
+  const root = makeProject('status');
+  try {
+    mkdirSync(join(root, '.bmad', 'modules', 'mermaid-workbench'), { recursive: true });
+
+    const marker = ['_bmad/modules/mermaid-workbench', '.bmad/modules/mermaid-workbench'];
+    assert.strictEqual(findMarker(marker, root), '.bmad/modules/mermaid-workbench');
+    assert.strictEqual(findMarker('.adr', root), null);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('installedVersion - reads the version from node_modules', () => {
+  const root = makeProject('status');
+  try {
+    writeFile(root, 'node_modules/@tcanaud/qa-system/package.json', JSON.stringify({ version: '1.4.0' }));
+
+    assert.strictEqual(installedVersion('@tcanaud/qa-system', root), '1.4.0');
+    assert.strictEqual(installedVersion('adr-system', root), null);
+    assert.strictEqual(installedVersion(null, root), null);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tests for getStatus
+// ============================================================================
+
+test('getStatus - lists every tool with install state, marker and version', () => {
+  const root = makeProject('status');
+  try {
+    mkdirSync(join(root, '.adr'));
+    writeFile(root, 'node_modules/adr-system/package.json', JSON.stringify({ version: '2.3.1' }));
+
+    const { tools } = getStatus(root);
+    const names = tools.map((t) => t.name);
+    assert(names.includes('BMAD Method'));
+    assert(names.includes('Spec Kit'));
+    assert(names.includes('Playbook Supervisor'));
+
+    const adr = tools.find((t) => t.name === 'ADR System');
+    assert.deepEqual(adr, {
+      name: 'ADR System',
+      pkg: 'adr-system',
+      installed: true,
+      marker: '.adr',
+      version: '2.3.1',
+    });
+
+    const qa = tools.find((t) => t.name === 'QA System');
+    assert.strictEqual(qa.installed, false);
+    assert.strictEqual(qa.marker, null);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('getStatus - reports command files as missing, outdated or up-to-date', () => {
+  const root = makeProject('status');
+  try {
+    assert.strictEqual(getStatus(root).commands[0].state, 'missing');
+
+    writeFile(root, '.claude/commands/tcsetup.onboard.md', 'old content');
+    assert.strictEqual(getStatus(root).commands[0].state, 'outdated');
+
+    const shipped = readFileSync(new URL('../commands/tcsetup.onboard.md', import.meta.url), 'utf8');
+    writeFile(root, '.claude/commands/tcsetup.onboard.md', shipped);
+    assert.deepEqual(getStatus(root).commands, [
+      { file: '.claude/commands/tcsetup.onboard.md', state: 'up-to-date' },
+    ]);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
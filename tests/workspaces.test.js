@@ -0,0 +1,97 @@
+/**
+ * Tests for monorepo workspace discovery
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { execSync } from 'node:child_process';
+import { chmodSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+import { findWorkspaces, updateWorkspaces } from '../src/workspaces.js';
+import { makeProject } from './helpers.js';
+
+// Creates a monorepo; every entry of `packages` is a directory with a package.json.
+function makeMonorepo(files, packages) {
+  return makeProject('ws', { ...files, ...Object.fromEntries(packages.map((dir) => [`${dir}/package.json`, '{}\n'])) });
+}
+
+test('findWorkspaces - expands the workspaces field of package.json', () => {
+  const root = makeMonorepo(
+    { 'package.json': JSON.stringify({ workspaces: ['packages/*', 'tools/cli'] }) },
+    ['packages/web', 'packages/api', 'tools/cli', 'other/lib']
+  );
+  try {
+    mkdirSync(join(root, 'packages', 'empty'));
+    assert.deepEqual(findWorkspaces(root), ['packages/api', 'packages/web', 'tools/cli']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('findWorkspaces - reads the Yarn packages form', () => {
+  const root = makeMonorepo(
+    { 'package.json': JSON.stringify({ workspaces: { packages: ['apps/*'] } }) },
+    ['apps/site']
+  );
+  try {
+    assert.deepEqual(findWorkspaces(root), ['apps/site']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('findWorkspaces - reads pnpm-workspace.yaml with exclusions', () => {
+  const root = makeMonorepo(
+    {
+      'package.json': '{}',
+      'pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n  - \"packages/**\" # everything\n  - '!apps/old'\ncatalog:\n  react: ^18\n",
+    },
+    ['apps/docs', 'apps/old', 'packages/api', 'packages/ui/button', 'packages/node_modules/dep']
+  );
+  try {
+    assert.deepEqual(findWorkspaces(root), ['apps/docs', 'packages/api', 'packages/ui/button']);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('findWorkspaces - returns nothing for a single project', () => {
+  const root = makeMonorepo({ 'package.json': '{"name":"app"}' }, []);
+  try {
+    assert.deepEqual(findWorkspaces(root), []);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('updateWorkspaces - checks a git monorepo once, before the root changes it', async () => {
+  const root = makeMonorepo(
+    { 'package.json': JSON.stringify({ workspaces: ['packages/*'] }) },
+    ['packages/a', 'packages/b']
+  );
+  const bin = mkdtempSync(join(tmpdir(), 'tcsetup-bin-'));
+  const path = process.env.PATH;
+  try {
+    for (const dir of ['.', 'packages/a', 'packages/b']) mkdirSync(join(root, dir, '.adr'));
+    execSync('git init -q && git add -A && git -c user.name=t -c user.email=t@t commit -qm init', { cwd: root });
+
+    // npm and npx stand-ins that succeed without installing anything.
+    for (const name of ['npm', 'npx']) {
+      writeFileSync(join(bin, name), '#!/bin/sh\nexit 0\n');
+      chmodSync(join(bin, name), 0o755);
+    }
+    process.env.PATH = `${bin}${delimiter}${path}`;
+    const results = await updateWorkspaces(['--no-backup'], root);
+    const steps = results.filter((r) => r.id === 'adr');
+    assert.deepEqual(steps.map((r) => [r.name, r.status]), [
+      ['.: ADR System', 'succeeded'],
+      ['packages/a: ADR System', 'succeeded'],
+      ['packages/b: ADR System', 'succeeded'],
+    ]);
+  } finally {
+    process.env.PATH = path;
+    rmSync(root, { recursive: true, force: true });
+    rmSync(bin, { recursive: true, force: true });
+  }
+});